@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const path = require('path');
+const quran = require('./quran');
+
+// Adhkar catalogue bundled in adhkar.json. Each dhikr is written once under `adhkar`
+// and categories list the ones they use with their own repetition count, since the
+// same dhikr is said a different number of times morning, after salah or before sleep.
+// Adhkar that are Quran passages reference the ayahs instead of repeating the text
+// (lib/quran leaves out the bismillah the first ayah of a surah carries).
+
+const dataset = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'adhkar.json'), 'utf8'));
+
+function quranPassage(ranges) {
+  const ayahs = ranges.flatMap(range => quran.getSurahAyahs(range.surah, range.from, range.to));
+  return {
+    arabic: ayahs.map(ayah => ayah.text).join(' '),
+    translation: ayahs.map(ayah => ayah.translation).join(' ')
+  };
+}
+
+function buildDhikr(id, entry) {
+  const text = entry.quran ? quranPassage(entry.quran) : entry;
+  return {
+    id,
+    title: entry.title || null,
+    arabic: text.arabic,
+    transliteration: entry.transliteration,
+    translation: text.translation,
+    source: entry.source,
+    quran: entry.quran || null
+  };
+}
+
+const adhkar = new Map(
+  Object.entries(dataset.adhkar).map(([id, entry]) => [id, buildDhikr(id, entry)])
+);
+
+const categories = new Map(dataset.categories.map(category => {
+  const items = category.items.map(({ id, repeat, note }) => {
+    const dhikr = adhkar.get(id);
+    if (!dhikr) {
+      throw new Error(`adhkar.json: category "${category.id}" references unknown dhikr "${id}"`);
+    }
+    return { ...dhikr, repeat, note: note || null };
+  });
+  return [category.id, { ...category, items }];
+}));
+
+console.log(`📿 Adhkar loaded: v${dataset.version}, ${categories.size} categories, ${adhkar.size} adhkar`);
+
+function getVersion() {
+  return { version: dataset.version, updated: dataset.updated, source: dataset.source };
+}
+
+function listCategories() {
+  return Array.from(categories.values()).map(({ items, ...meta }) => ({ ...meta, count: items.length }));
+}
+
+function getCategory(id) {
+  return categories.get(id) || null;
+}
+
+function getDhikr(id) {
+  return adhkar.get(id) || null;
+}
+
+module.exports = {
+  getVersion,
+  listCategories,
+  getCategory,
+  getDhikr
+};
@@ -0,0 +1,62 @@
+// Arabic text helpers shared by the renderer and the search index
+
+// Harakat, Quranic annotation marks, small high letters and tatweel
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u06D6-\u06ED\u0640\uFEFF]/g;
+const DAGGER_ALIF = /\u0670/g;
+
+// Fix the hamza/alif sequences in the Uthmani text that the Quran fonts draw badly
+function prepareArabicForDisplay(text) {
+  return text
+    .normalize('NFC')
+    .replace(/ٱلْءَاخِرَةِ/g, 'الْآخِرَةِ') // Fix for "الآخرة"
+    .replace(/وَبِٱلْءَاخِرَةِ/g, 'وَبِالْآخِرَةِ') // Fix for "وبالآخرة"
+    .replace(/بِٱلْءَاخِرَةِ/g, 'بِالْآخِرَةِ') // Fix for "بالآخرة"
+    .replace(/ءَا/g, 'آ') // Hamza followed by Alif -> Alif Madda
+    .replace(/ءُا/g, 'ؤا') // Hamza with damma followed by Alif
+    .replace(/ءِا/g, 'ئا') // Hamza with kasra followed by Alif
+    .replace(/\u0621\u0627/g, '\u0623') // Standalone Hamza + Alif -> Hamza on Alif
+    .replace(/\u0621\u064E\u0627/g, '\u0623') // Hamza + Fatha + Alif -> Hamza on Alif
+    .replace(/\u0621[\u064E\u064F\u0650\u0652]*\u0627/g, '\u0623') // Hamza + any diacritics + Alif -> Hamza on Alif
+    .replace(/\u0621[\u064E\u064F\u0650\u0652]*\u0625/g, '\u0625') // Hamza + diacritics + Hamza-under-Alif
+    .replace(/\u0621[\u064E\u064F\u0650\u0652]*\u0622/g, '\u0622') // Hamza + diacritics + Alif-Madda
+    .replace(/ٱلْءَ/g, 'الْآ'); // General fix for hamza-alif in definite articles
+}
+
+// Fold letters that are spelled differently but searched the same way:
+// alif variants (incl. ٱ wasla) -> ا, hamza carriers -> bare letter, ى -> ي, ة -> ه
+function foldLetters(text) {
+  return text
+    .replace(/[ٱأإآ]/g, 'ا')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/ى/g, 'ي')
+    .replace(/ء/g, '')
+    .replace(/ة/g, 'ه');
+}
+
+// Diacritic-insensitive search form of a word or query.
+// The Uthmani script writes some long vowels as a dagger alif (ٱلرَّحْمَٰنِ, ٱلْكِتَٰبُ, ٱلصَّلَوٰةَ),
+// which people type either without an alif or with a full one, so this returns both spellings.
+function normalizeArabicVariants(text) {
+  const base = text.normalize('NFC');
+  const variants = new Set([
+    foldLetters(base.replace(DAGGER_ALIF, '').replace(DIACRITICS, '')),
+    foldLetters(base.replace(/و[\u064B-\u0652]*\u0670/g, 'ا').replace(DAGGER_ALIF, 'ا').replace(DIACRITICS, ''))
+  ]);
+  return Array.from(variants).filter(Boolean);
+}
+
+function normalizeArabic(text) {
+  return normalizeArabicVariants(text)[0] || '';
+}
+
+function hasArabic(text) {
+  return /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/.test(text);
+}
+
+module.exports = {
+  prepareArabicForDisplay,
+  normalizeArabic,
+  normalizeArabicVariants,
+  hasArabic
+};
@@ -0,0 +1,175 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getAyahAudioUrl } = require('./reciters');
+
+// Network errors worth another attempt; HTTP 5xx and 429 are retried as well
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isTransient(error) {
+  if (error.response) {
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// On-disk cache of per-ayah recitation MP3s.
+// Files are stored under the SHA-256 of "<reciter directory>/<SSSAAA>", least recently
+// used files are evicted once the cache grows past maxBytes (file mtimes record use, so
+// the order survives a restart). `localDir` is a pre-populated mirror laid out like
+// everyayah.com (<directory>/<SSSAAA>.mp3) that is checked first; with `offline` set
+// nothing is downloaded and only the mirror and the cache are used.
+class AudioCache {
+  constructor({ dir, maxBytes = 512 * 1024 * 1024, localDir = null, offline = false, retries = 3, retryDelay = 500 }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.localDir = localDir;
+    this.offline = offline;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.entries = new Map(); // file path -> { size, lastUsed }
+    this.totalBytes = 0;
+    this.inflight = new Map(); // file path -> download promise
+
+    fs.ensureDirSync(this.dir);
+    this.scan();
+  }
+
+  // Rebuild the index from the files already on disk
+  scan() {
+    fs.readdirSync(this.dir).forEach(bucket => {
+      const bucketDir = path.join(this.dir, bucket);
+      if (!fs.statSync(bucketDir).isDirectory()) return;
+
+      fs.readdirSync(bucketDir)
+        .filter(file => file.endsWith('.mp3'))
+        .forEach(file => {
+          const filePath = path.join(bucketDir, file);
+          const stats = fs.statSync(filePath);
+          this.entries.set(filePath, { size: stats.size, lastUsed: stats.mtimeMs });
+          this.totalBytes += stats.size;
+        });
+    });
+
+    console.log(`🎧 Audio cache: ${this.entries.size} file(s), ${(this.totalBytes / 1024 / 1024).toFixed(1)} MB${this.offline ? ' (offline mode)' : ''}`);
+  }
+
+  cachePath(reciter, surah, ayah) {
+    const key = `${reciter.directory}/${String(surah).padStart(3, '0')}${String(ayah).padStart(3, '0')}`;
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.mp3`);
+  }
+
+  localPath(reciter, surah, ayah) {
+    if (!this.localDir) return null;
+    return path.join(this.localDir, reciter.directory, `${String(surah).padStart(3, '0')}${String(ayah).padStart(3, '0')}.mp3`);
+  }
+
+  // Path of the ayah's MP3 on disk, downloading it into the cache when needed.
+  // Callers that keep or modify the file should copy it first, it may be evicted later.
+  async getAyahAudio(reciter, surah, ayah) {
+    const localPath = this.localPath(reciter, surah, ayah);
+    if (localPath && fs.existsSync(localPath)) {
+      return localPath;
+    }
+
+    const filePath = this.cachePath(reciter, surah, ayah);
+    if (this.entries.has(filePath) && fs.existsSync(filePath)) {
+      this.touch(filePath);
+      return filePath;
+    }
+
+    if (this.offline) {
+      const error = new Error(`Audio for ${reciter.id} ${surah}:${ayah} is not available offline`);
+      error.code = 'AUDIO_UNAVAILABLE';
+      throw error;
+    }
+
+    // Several jobs asking for the same ayah share one download
+    if (!this.inflight.has(filePath)) {
+      const url = getAyahAudioUrl(reciter, surah, ayah);
+      const download = this.download(url, filePath).finally(() => this.inflight.delete(filePath));
+      this.inflight.set(filePath, download);
+    }
+    await this.inflight.get(filePath);
+    return filePath;
+  }
+
+  // Download with exponential backoff on transient failures (0.5s, 1s, 2s, ...)
+  async download(url, filePath) {
+    const tempPath = `${filePath}.${process.pid}.download`;
+    fs.ensureDirSync(path.dirname(filePath));
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios({
+          method: 'GET',
+          url,
+          responseType: 'stream',
+          timeout: 30000 // 30 second timeout
+        });
+
+        await new Promise((resolve, reject) => {
+          const writer = fs.createWriteStream(tempPath);
+          response.data.on('error', reject);
+          writer.on('finish', resolve);
+          writer.on('error', reject);
+          response.data.pipe(writer);
+        });
+
+        fs.renameSync(tempPath, filePath);
+        break;
+      } catch (error) {
+        fs.removeSync(tempPath);
+        if (attempt >= this.retries || !isTransient(error)) {
+          throw error;
+        }
+        const delay = this.retryDelay * 2 ** attempt;
+        console.log(`⚠️ Audio download failed (${error.code || error.message}), retrying in ${delay}ms: ${url}`);
+        await sleep(delay);
+      }
+    }
+
+    const size = fs.statSync(filePath).size;
+    this.entries.set(filePath, { size, lastUsed: Date.now() });
+    this.totalBytes += size;
+    this.evict(filePath);
+  }
+
+  touch(filePath) {
+    const now = Date.now();
+    this.entries.get(filePath).lastUsed = now;
+    fs.utimes(filePath, new Date(now), new Date(now)).catch(() => {});
+  }
+
+  // Drop least recently used files until the cache fits, never the file just added
+  evict(keepPath) {
+    if (this.totalBytes <= this.maxBytes) return;
+
+    const oldestFirst = Array.from(this.entries.entries())
+      .filter(([filePath]) => filePath !== keepPath)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+    for (const [filePath, entry] of oldestFirst) {
+      if (this.totalBytes <= this.maxBytes) break;
+      fs.removeSync(filePath);
+      this.entries.delete(filePath);
+      this.totalBytes -= entry.size;
+    }
+  }
+
+  stats() {
+    return {
+      files: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      offline: this.offline,
+      localDir: this.localDir
+    };
+  }
+}
+
+module.exports = { AudioCache };
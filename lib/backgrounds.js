@@ -0,0 +1,376 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const { createCanvas, loadImage } = require('canvas');
+const media = require('./media');
+const render = require('./render');
+
+// The background clip library: the videos in `dir` plus their metadata in `storePath`.
+// Clips are added through ingest(), which checks the file, works out its resolution,
+// duration, dominant colour and the frame orientations it can fill, and renders a
+// thumbnail (<id>.jpg) and a short muted hover-preview clip (<id>.mp4) into `thumbnailsDir`,
+// a directory of its own since the ids are free to be anything.
+// Videos copied into `dir` by hand are ingested on startup with a title from their filename,
+// and clips whose thumbnail or preview has gone missing get them rendered again.
+
+// Frames a clip can fill, named by lib/render.js's aspect ratios ('16:9' ... '4:5'). The
+// older orientation names are accepted for them, as they are for frames.
+const ORIENTATIONS = Object.keys(render.ASPECT_RATIOS);
+const MIN_COVERAGE = 0.5; // share of the clip that must survive cropping it to fill a frame
+const THUMBNAIL_WIDTH = 320;
+const HOVER_PREVIEW_SECONDS = 3;
+const VIDEO_EXTENSIONS = /\.(mp4|webm|mov)$/i;
+const TAG = /^[a-z0-9][a-z0-9-]{0,29}$/;
+const MAX_TAGS = 20;
+
+// 'portrait' -> '9:16', anything else as it is
+function normalizeOrientation(orientation) {
+  return render.ORIENTATION_RATIOS[orientation] || orientation;
+}
+
+// Frame orientations a clip fills without cropping away most of it
+function suitableOrientations(width, height) {
+  const aspect = width / height;
+  return ORIENTATIONS.filter(orientation => {
+    const frame = render.ASPECT_RATIOS[orientation];
+    const target = frame.width / frame.height;
+    return Math.min(aspect, target) / Math.max(aspect, target) >= MIN_COVERAGE;
+  });
+}
+
+// 'a, b' or ['a', 'b'] -> ['a', 'b']
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Editable metadata from a request body: { metadata } with only the fields given, or { error }
+function parseMetadata(body) {
+  const metadata = {};
+
+  if (body.title !== undefined) {
+    const title = String(body.title).trim();
+    if (!title || title.length > 100) {
+      return { error: 'title must be 1-100 characters' };
+    }
+    metadata.title = title;
+  }
+  if (body.tags !== undefined) {
+    const tags = Array.from(new Set(toList(body.tags).map(tag => tag.toLowerCase())));
+    const badTag = tags.find(tag => !TAG.test(tag));
+    if (badTag) {
+      return { error: `Invalid tag "${badTag}": tags are lowercase letters, digits and dashes` };
+    }
+    if (tags.length > MAX_TAGS) {
+      return { error: `At most ${MAX_TAGS} tags` };
+    }
+    metadata.tags = tags;
+  }
+  if (body.orientations !== undefined) {
+    const orientations = Array.from(new Set(toList(body.orientations).map(normalizeOrientation)));
+    const badOrientation = orientations.find(orientation => !ORIENTATIONS.includes(orientation));
+    if (badOrientation) {
+      return { error: `Invalid orientation "${badOrientation}" (${ORIENTATIONS.join(', ')})` };
+    }
+    metadata.orientations = orientations;
+  }
+  for (const [field, maxLength] of [['license', 100], ['attribution', 300]]) {
+    if (body[field] !== undefined) {
+      const value = body[field] === null ? '' : String(body[field]).trim();
+      if (value.length > maxLength) {
+        return { error: `${field} must be at most ${maxLength} characters` };
+      }
+      metadata[field] = value || null;
+    }
+  }
+
+  return { metadata };
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/\.[^.]+$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'background';
+}
+
+function run(command, outputPath) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', resolve)
+      .on('error', reject)
+      .save(outputPath);
+  });
+}
+
+// The most common colour of an image as '#rrggbb': pixels are bucketed by colour and the
+// fullest bucket is averaged, so a blue sky with a dark strip of land comes out blue
+async function dominantColor(imagePath) {
+  const image = await loadImage(imagePath);
+  const width = 32;
+  const height = Math.max(1, Math.round(width * image.height / image.width));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    const key = (data[i] >> 5) * 64 + (data[i + 1] >> 5) * 8 + (data[i + 2] >> 5);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  }
+  const top = Array.from(buckets.values()).sort((a, b) => b.count - a.count)[0];
+  if (!top) return null;
+  return '#' + [top.r, top.g, top.b].map(sum => Math.round(sum / top.count).toString(16).padStart(2, '0')).join('');
+}
+
+function colorDistance(a, b) {
+  const channels = hex => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+  const [ca, cb] = [channels(a), channels(b)];
+  return Math.sqrt(ca.reduce((sum, value, index) => sum + (value - cb[index]) ** 2, 0));
+}
+
+class BackgroundLibrary {
+  constructor({ dir, thumbnailsDir, storePath }) {
+    this.dir = dir;
+    this.thumbnailsDir = thumbnailsDir;
+    this.storePath = storePath;
+    this.entries = new Map(); // id -> entry
+
+    fs.ensureDirSync(this.dir);
+    fs.ensureDirSync(this.thumbnailsDir);
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.storePath)) return;
+    try {
+      const saved = fs.readJsonSync(this.storePath);
+      (saved.backgrounds || []).forEach(entry => {
+        if (fs.existsSync(this.clipPath(entry))) {
+          this.entries.set(entry.id, this.upgradeOrientations(entry));
+        }
+      });
+    } catch (error) {
+      console.error('Error loading background library:', error);
+    }
+  }
+
+  // Entries saved under the older orientation names predate 4:5. Worked-out orientations are
+  // worked out again, ones set by hand are kept under the new names.
+  upgradeOrientations(entry) {
+    if (!entry.orientations.some(orientation => render.ORIENTATION_RATIOS[orientation])) return entry;
+    const orientations = entry.orientations.map(normalizeOrientation);
+    const workedOut = suitableOrientations(entry.width, entry.height);
+    const wasWorkedOut = workedOut.filter(orientation => orientation !== '4:5').join() === orientations.join();
+    return { ...entry, orientations: wasWorkedOut ? workedOut : orientations };
+  }
+
+  persist() {
+    try {
+      const tempPath = `${this.storePath}.tmp`;
+      fs.writeJsonSync(tempPath, { backgrounds: Array.from(this.entries.values()) }, { spaces: 2 });
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      console.error('Error persisting background library:', error);
+    }
+  }
+
+  // Ingest, one at a time, the videos in the directory that aren't in the library yet, and
+  // render the thumbnails and previews that are missing
+  async scan() {
+    for (const entry of this.entries.values()) {
+      if (fs.existsSync(this.thumbnailPath(entry)) && fs.existsSync(this.hoverPreviewPath(entry))) continue;
+      try {
+        await this.renderPreviews(entry);
+      } catch (error) {
+        console.error(`Error rendering thumbnails for ${entry.filename}:`, error.message);
+      }
+    }
+
+    const known = new Set(Array.from(this.entries.values()).map(entry => entry.filename));
+    const files = fs.readdirSync(this.dir).filter(file => VIDEO_EXTENSIONS.test(file) && !known.has(file));
+
+    for (const file of files) {
+      const mimetype = { '.mp4': 'video/mp4', '.webm': 'video/webm', '.mov': 'video/quicktime' }[path.extname(file).toLowerCase()];
+      const result = await this.ingest(path.join(this.dir, file), {
+        mimetype,
+        id: slugify(file),
+        metadata: { title: file.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ') }
+      });
+      if (result.error) {
+        console.error(`Background ${file} not added to the library: ${result.error}`);
+      }
+    }
+    console.log(`🎞️ Background library: ${this.entries.size} clip(s)`);
+  }
+
+  list({ tags = [], orientation = null, search = null, color = null, license = null, minDuration = null } = {}) {
+    let entries = Array.from(this.entries.values());
+
+    if (tags.length > 0) {
+      entries = entries.filter(entry => tags.some(tag => entry.tags.includes(tag)));
+    }
+    if (orientation) {
+      entries = entries.filter(entry => entry.orientations.includes(normalizeOrientation(orientation)));
+    }
+    if (search) {
+      const needle = search.toLowerCase();
+      entries = entries.filter(entry =>
+        [entry.title, entry.attribution || '', ...entry.tags].some(text => text.toLowerCase().includes(needle)));
+    }
+    if (license) {
+      entries = entries.filter(entry => (entry.license || '').toLowerCase() === license.toLowerCase());
+    }
+    if (minDuration) {
+      entries = entries.filter(entry => entry.duration >= minDuration);
+    }
+    if (color) {
+      // Nearest dominant colour first
+      entries = entries
+        .filter(entry => entry.dominantColor)
+        .sort((a, b) => colorDistance(a.dominantColor, color) - colorDistance(b.dominantColor, color));
+    } else {
+      entries.sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    return entries;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  findByFilename(filename) {
+    return Array.from(this.entries.values()).find(entry => entry.filename === filename) || null;
+  }
+
+  clipPath(entry) {
+    return path.join(this.dir, entry.filename);
+  }
+
+  thumbnailPath(entry) {
+    return path.join(this.thumbnailsDir, `${entry.id}.jpg`);
+  }
+
+  hoverPreviewPath(entry) {
+    return path.join(this.thumbnailsDir, `${entry.id}.mp4`);
+  }
+
+  uniqueId(base) {
+    let id = base;
+    for (let n = 2; this.entries.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  // Add a video to the library, moving it into the directory when it isn't there already:
+  // { entry } or { error }. metadata is a parseMetadata() result; the title defaults to the id.
+  async ingest(filePath, { mimetype, id, metadata = {} }) {
+    const probed = await media.probeBackground(filePath, mimetype);
+    if (probed.error) {
+      return { error: probed.error };
+    }
+    const { kind, codec, width, height, duration } = probed.background;
+    if (kind !== 'video') {
+      return { error: 'The background library only holds video clips' };
+    }
+
+    // Files already in the directory keep their name, others are named after the id
+    id = this.uniqueId(slugify(id || metadata.title));
+    const inLibrary = path.resolve(path.dirname(filePath)) === path.resolve(this.dir);
+    const filename = inLibrary ? path.basename(filePath) : `${id}${path.extname(filePath).toLowerCase()}`;
+    const clipPath = path.join(this.dir, filename);
+    if (!inLibrary) {
+      await fs.move(filePath, clipPath);
+    }
+
+    const entry = {
+      id,
+      filename,
+      title: metadata.title || id.replace(/-/g, ' '),
+      tags: metadata.tags || [],
+      dominantColor: null,
+      duration,
+      width,
+      height,
+      codec,
+      orientations: metadata.orientations || suitableOrientations(width, height),
+      license: metadata.license || null,
+      attribution: metadata.attribution || null,
+      addedAt: new Date().toISOString()
+    };
+
+    try {
+      await this.renderPreviews(entry);
+    } catch (error) {
+      console.error(`Error rendering thumbnails for ${filename}:`, error.message);
+      this.removeFiles(entry, { keepClip: inLibrary });
+      return { error: 'Could not render a thumbnail and preview for the background' };
+    }
+
+    try {
+      entry.dominantColor = await dominantColor(this.thumbnailPath(entry));
+    } catch (error) {
+      console.error(`Error measuring the colour of ${filename}:`, error.message);
+    }
+
+    this.entries.set(id, entry);
+    this.persist();
+    console.log(`🎞️ Added background ${filename}: ${width}x${height}, ${duration.toFixed(1)}s, ${entry.orientations.join('/')}`);
+    return { entry };
+  }
+
+  // A still from a little way in (the first frames are often a fade) and a few seconds
+  // from the same point for the hover preview, both small enough for a picker grid
+  async renderPreviews(entry) {
+    const clipPath = this.clipPath(entry);
+    const start = Math.min(2, entry.duration / 2);
+    await run(
+      ffmpeg(clipPath).seekInput(start).frames(1).videoFilters(`scale=${THUMBNAIL_WIDTH}:-2`).outputOptions(['-q:v', '4']),
+      this.thumbnailPath(entry)
+    );
+    await run(
+      ffmpeg(clipPath)
+        .seekInput(start)
+        .duration(Math.min(HOVER_PREVIEW_SECONDS, entry.duration - start))
+        .noAudio()
+        .videoFilters(`scale=${THUMBNAIL_WIDTH}:-2`)
+        .outputOptions(['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '30', '-pix_fmt', 'yuv420p', '-movflags', '+faststart']),
+      this.hoverPreviewPath(entry)
+    );
+  }
+
+  update(id, metadata) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    Object.assign(entry, metadata, { updatedAt: new Date().toISOString() });
+    this.persist();
+    return entry;
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    this.entries.delete(id);
+    this.persist();
+    this.removeFiles(entry);
+    return entry;
+  }
+
+  removeFiles(entry, { keepClip = false } = {}) {
+    const files = [this.thumbnailPath(entry), this.hoverPreviewPath(entry)];
+    if (!keepClip) files.push(this.clipPath(entry));
+    files.forEach(filePath => fs.removeSync(filePath));
+  }
+}
+
+module.exports = {
+  ORIENTATIONS,
+  normalizeOrientation,
+  BackgroundLibrary,
+  parseMetadata
+};
@@ -0,0 +1,123 @@
+// Caption files for generated videos, built from the same verse timings as the burnt-in text.
+// A track is { id, language, label, cues: [{ start, end, text }] } with times in seconds.
+// SRT and WebVTT hold one track each; ASS holds them all, Arabic at the top and the
+// translations stacked at the bottom, styled like the video.
+
+const FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { contentType: 'text/vtt; charset=utf-8' },
+  ass: { contentType: 'text/x-ssa; charset=utf-8' }
+};
+
+// ISO 639-1 -> ISO 639-2 codes, which is what MP4 subtitle tracks are tagged with
+const ISO_639_2 = {
+  ar: 'ara', az: 'aze', bn: 'ben', bs: 'bos', de: 'deu', dv: 'div', en: 'eng', es: 'spa',
+  fa: 'fas', fr: 'fra', ha: 'hau', he: 'heb', hi: 'hin', id: 'ind', it: 'ita', ja: 'jpn',
+  ko: 'kor', ku: 'kur', ml: 'mal', ms: 'msa', nl: 'nld', pl: 'pol', ps: 'pus', pt: 'por',
+  ru: 'rus', sd: 'snd', so: 'som', sq: 'sqi', sv: 'swe', sw: 'swa', ta: 'tam', th: 'tha',
+  tr: 'tur', ug: 'uig', ur: 'urd', uz: 'uzb', yi: 'yid', zh: 'zho'
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function timeParts(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  return {
+    hours: Math.floor(ms / 3600000),
+    minutes: Math.floor(ms / 60000) % 60,
+    seconds: Math.floor(ms / 1000) % 60,
+    ms: ms % 1000
+  };
+}
+
+const srtTime = seconds => {
+  const t = timeParts(seconds);
+  return `${pad(t.hours)}:${pad(t.minutes)}:${pad(t.seconds)},${pad(t.ms, 3)}`;
+};
+
+const vttTime = seconds => srtTime(seconds).replace(',', '.');
+
+// ASS uses centiseconds and an unpadded hour
+const assTime = seconds => {
+  const t = timeParts(seconds);
+  return `${t.hours}:${pad(t.minutes)}:${pad(t.seconds)}.${pad(Math.floor(t.ms / 10))}`;
+};
+
+// One line of text per cue, line wrapping is left to the player
+const cueText = text => text.replace(/^\uFEFF/, '').replace(/\s+/g, ' ').trim();
+
+function toSrt(track) {
+  return track.cues
+    .map((cue, index) => `${index + 1}\n${srtTime(cue.start)} --> ${srtTime(cue.end)}\n${cueText(cue.text)}\n`)
+    .join('\n');
+}
+
+function toVtt(track) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const cues = track.cues.map(cue => `${vttTime(cue.start)} --> ${vttTime(cue.end)}\n${escape(cueText(cue.text))}\n`);
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+// '#RRGGBB' -> ASS '&H00BBGGRR' (ASS colours are BGR, with alpha first where 00 is opaque)
+function assColour(hex, fallback = '&H00FFFFFF') {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return fallback;
+  const [r, g, b] = [0, 2, 4].map(index => match[1].slice(index, index + 2));
+  return `&H00${b}${g}${r}`.toUpperCase();
+}
+
+function toAss(tracks, { width, height, arabicFont = 'Amiri', translationFont = 'Arial', textColor = '#ffffff' }) {
+  const arabicSize = Math.floor(height * 0.045);
+  const translationSize = Math.floor(arabicSize * 0.7);
+  const margin = Math.floor(height * 0.05);
+  const colour = assColour(textColor);
+  const styleName = track => (track.id === 'arabic' ? 'Arabic' : `Translation_${track.id.replace(/[^A-Za-z0-9]/g, '_')}`);
+
+  // Alignment 8 is top centre, 2 bottom centre; later translations sit above the first one
+  const styles = tracks.map((track, index) => {
+    const isArabic = track.id === 'arabic';
+    const translationIndex = index - (tracks[0].id === 'arabic' ? 1 : 0);
+    const marginV = isArabic ? margin : margin + translationIndex * translationSize * 4;
+    return `Style: ${styleName(track)},${isArabic ? arabicFont : translationFont},${isArabic ? arabicSize : translationSize},` +
+      `${colour},&H000000FF,&H00000000,&H99000000,0,0,0,0,100,100,0,0,1,2,1,${isArabic ? 8 : 2},${margin},${margin},${Math.round(marginV)},1`;
+  });
+
+  const events = [];
+  tracks.forEach(track => {
+    track.cues.forEach(cue => {
+      // Braces would be read as override tags
+      const text = cueText(cue.text).replace(/[{}]/g, '');
+      events.push(`Dialogue: 0,${assTime(cue.start)},${assTime(cue.end)},${styleName(track)},,0,0,0,,${text}`);
+    });
+  });
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    ...styles,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events,
+    ''
+  ].join('\n');
+}
+
+function languageCode(language) {
+  return ISO_639_2[language] || 'und';
+}
+
+module.exports = {
+  FORMATS,
+  toSrt,
+  toVtt,
+  toAss,
+  languageCode
+};
@@ -0,0 +1,153 @@
+// Encoding settings of the final video by output format and named quality tier. A tier caps
+// the output resolution by the frame's short side (480p, 720p, 1080p), scaling the composited
+// frame down but never up; ultra keeps the frame's full size and spends more bits on it.
+
+const QUALITY_TIERS = {
+  draft: { shortSide: 480, crf: 30, preset: 'veryfast', audioBitrate: '96k' },
+  standard: { shortSide: 720, crf: 23, preset: 'fast', audioBitrate: '128k' },
+  high: { shortSide: 1080, crf: 23, preset: 'medium', audioBitrate: '160k' },
+  ultra: { shortSide: null, crf: 18, preset: 'slow', audioBitrate: '256k' }
+};
+
+const DEFAULT_QUALITY = 'high';
+
+// kind 'video' has picture and sound, 'animation' (GIF, WebP for messaging apps) is silent,
+// short and small, 'audio' is the recitation alone, tagged and with the verse card as cover
+const OUTPUT_FORMATS = {
+  mp4: { kind: 'video', extension: 'mp4', contentType: 'video/mp4', audioCodec: 'aac', subtitleCodec: 'mov_text' },
+  webm: { kind: 'video', extension: 'webm', contentType: 'video/webm', audioCodec: 'libopus', subtitleCodec: 'webvtt' },
+  gif: { kind: 'animation', extension: 'gif', contentType: 'image/gif', fps: 12 },
+  webp: { kind: 'animation', extension: 'webp', contentType: 'image/webp', fps: 15 },
+  m4a: { kind: 'audio', extension: 'm4a', contentType: 'audio/mp4', audioCodec: 'aac', container: 'ipod' },
+  mp3: { kind: 'audio', extension: 'mp3', contentType: 'audio/mpeg', audioCodec: 'libmp3lame', container: 'mp3' }
+};
+
+const DEFAULT_FORMAT = 'mp4';
+
+const ANIMATION_LIMITS = {
+  maxDuration: 15, // seconds, longer ranges are trimmed
+  shortSide: 480 // px, whatever the quality tier
+};
+
+// The tiers' x264 presets as libvpx-vp9 -cpu-used speeds, and their WebP quality
+const VP9_SPEEDS = { veryfast: 5, fast: 4, medium: 2, slow: 1 };
+const WEBP_QUALITY = { draft: 50, standard: 70, high: 80, ultra: 90 };
+
+const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+// The settings of a format and tier for a frame ({ width, height }):
+// { settings: { format, quality, width, height, scale, crf, preset, audioBitrate } } or { error }
+// (no width and height for audio-only formats)
+function resolveQuality(name, frame, formatName) {
+  const quality = name || DEFAULT_QUALITY;
+  const tier = QUALITY_TIERS[quality];
+  if (!tier) {
+    return { error: `quality must be one of: ${Object.keys(QUALITY_TIERS).join(', ')}` };
+  }
+  const format = formatName || DEFAULT_FORMAT;
+  if (!OUTPUT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}` };
+  }
+
+  const shortSide = Math.min(frame.width, frame.height);
+  const caps = [tier.shortSide, OUTPUT_FORMATS[format].kind === 'animation' && ANIMATION_LIMITS.shortSide].filter(Boolean);
+  const cap = Math.min(...caps);
+  const scale = cap < shortSide ? cap / shortSide : 1;
+  const size = OUTPUT_FORMATS[format].kind === 'audio'
+    ? { width: null, height: null }
+    : { width: scale === 1 ? frame.width : even(frame.width * scale), height: scale === 1 ? frame.height : even(frame.height * scale) };
+  return {
+    settings: {
+      format,
+      quality,
+      ...size,
+      scale,
+      crf: tier.crf,
+      preset: tier.preset,
+      audioBitrate: tier.audioBitrate
+    }
+  };
+}
+
+// Filters taking the composited frame [input] to the format's picture, and the output
+// options encoding it: { filters, outputOptions } (outputOptions map the picture)
+function pictureEncoding(settings, input) {
+  const { format, quality, crf, preset } = settings;
+  if (format === 'gif') {
+    // One palette made for the whole clip, so colours don't flicker from frame to frame
+    return {
+      filters: [
+        `[${input}]fps=${OUTPUT_FORMATS.gif.fps},split[gif_frames][gif_source]`,
+        '[gif_source]palettegen=stats_mode=diff[gif_palette]',
+        '[gif_frames][gif_palette]paletteuse=dither=bayer:bayer_scale=4:diff_mode=rectangle[picture]'
+      ],
+      outputOptions: ['-map', '[picture]', '-loop', '0']
+    };
+  }
+  if (format === 'webp') {
+    return {
+      filters: [`[${input}]fps=${OUTPUT_FORMATS.webp.fps}[picture]`],
+      outputOptions: ['-map', '[picture]', '-c:v', 'libwebp', '-quality', WEBP_QUALITY[quality].toString(), '-loop', '0']
+    };
+  }
+  if (format === 'webm') {
+    // Constant quality: VP9's CRF scale runs to 63, -b:v 0 lets it use what it needs
+    return {
+      filters: [],
+      outputOptions: [
+        '-map', `[${input}]`,
+        '-c:v', 'libvpx-vp9',
+        '-crf', (crf + 8).toString(),
+        '-b:v', '0',
+        '-deadline', 'good',
+        '-cpu-used', VP9_SPEEDS[preset].toString(),
+        '-row-mt', '1',
+        '-pix_fmt', 'yuv420p'
+      ]
+    };
+  }
+  return {
+    filters: [],
+    outputOptions: ['-map', `[${input}]`, '-c:v', 'libx264', '-preset', preset, '-crf', crf.toString(), '-pix_fmt', 'yuv420p']
+  };
+}
+
+// Output options for the sound of a format with audio
+function soundEncoding(settings) {
+  return ['-c:a', OUTPUT_FORMATS[settings.format].audioCodec, '-b:a', settings.audioBitrate];
+}
+
+// Output options for an audio-only file: the sound, its tags ({ title, artist, ... }) and the
+// cover art picture of input coverInput, when there is one. MP3 keeps every tag, non-standard
+// keys as ID3 TXXX frames; M4A only the standard iTunes ones (title, artist, album, track,
+// genre...) that players read.
+function audioFileEncoding(settings, tags, coverInput = null) {
+  const { format } = settings;
+  const options = ['-map', '0:a', ...soundEncoding(settings)];
+  if (coverInput !== null) {
+    options.push(
+      '-map', `${coverInput}:v`,
+      '-c:v', 'copy',
+      '-disposition:v', 'attached_pic',
+      '-metadata:s:v', 'title=Cover',
+      '-metadata:s:v', 'comment=Cover (front)'
+    );
+  }
+  options.push(...(format === 'mp3' ? ['-id3v2_version', '3'] : ['-movflags', '+faststart']));
+  Object.entries(tags)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .forEach(([key, value]) => options.push('-metadata', `${key}=${value}`));
+  return options;
+}
+
+module.exports = {
+  QUALITY_TIERS,
+  DEFAULT_QUALITY,
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  ANIMATION_LIMITS,
+  resolveQuality,
+  pictureEncoding,
+  soundEncoding,
+  audioFileEncoding
+};
@@ -0,0 +1,176 @@
+// Hijri <-> Gregorian conversion.
+// 'umalqura' is the official Saudi calendar, taken from ICU through Intl (ICU falls back to
+// the tabular calendar outside the years it has tables for). 'tabular' is the arithmetic
+// civil calendar (30-year cycle, leap years 2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29), the
+// one used by the "Kuwaiti algorithm".
+// `offset` shifts the result by whole days to follow local moon sighting.
+
+const CALENDARS = ['umalqura', 'tabular'];
+
+const MONTHS = [
+  { name: 'Muharram', arabic: 'مُحَرَّم' },
+  { name: 'Safar', arabic: 'صَفَر' },
+  { name: "Rabi' al-Awwal", arabic: 'رَبِيع الأَوَّل' },
+  { name: "Rabi' al-Thani", arabic: 'رَبِيع الآخِر' },
+  { name: 'Jumada al-Ula', arabic: 'جُمَادَى الأُولَى' },
+  { name: 'Jumada al-Akhirah', arabic: 'جُمَادَى الآخِرَة' },
+  { name: 'Rajab', arabic: 'رَجَب' },
+  { name: "Sha'ban", arabic: 'شَعْبَان' },
+  { name: 'Ramadan', arabic: 'رَمَضَان' },
+  { name: 'Shawwal', arabic: 'شَوَّال' },
+  { name: "Dhu al-Qi'dah", arabic: 'ذُو القَعْدَة' },
+  { name: 'Dhu al-Hijjah', arabic: 'ذُو الحِجَّة' }
+];
+
+const ISLAMIC_EPOCH = 1948439.5; // Julian day of 1 Muharram 1 AH (civil)
+const MS_PER_DAY = 86400000;
+
+const umalquraFormatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura-nu-latn', {
+  timeZone: 'UTC',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric'
+});
+
+// --- Day numbers: days since 1970-01-01, so Date.UTC does the Gregorian side ---
+const gregorianToDays = (year, month, day) => Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+
+function daysToGregorian(days) {
+  const date = new Date(days * MS_PER_DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// --- Tabular calendar ---
+function tabularToDays(year, month, day) {
+  const jd = day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 +
+    Math.floor((3 + 11 * year) / 30) + ISLAMIC_EPOCH - 1;
+  return Math.round(jd - 2440587.5);
+}
+
+function daysToTabular(days) {
+  const jd = days + 2440587.5;
+  const year = Math.floor((30 * (jd - ISLAMIC_EPOCH) + 10646) / 10631);
+  const month = Math.min(12, Math.ceil((jd - (29 + tabularToDays(year, 1, 1) + 2440587.5)) / 29.5) + 1);
+  const day = days - tabularToDays(year, month, 1) + 1;
+  return { year, month, day };
+}
+
+// --- Umm al-Qura (ICU) ---
+function daysToUmalqura(days) {
+  const parts = umalquraFormatter.formatToParts(new Date(days * MS_PER_DAY));
+  const value = type => parseInt(parts.find(part => part.type === type).value);
+  return { year: value('year'), month: value('month'), day: value('day') };
+}
+
+// ICU only converts one way, so start from the tabular date (never more than a couple
+// of days out) and step until the Umm al-Qura date matches
+function umalquraToDays(year, month, day) {
+  const estimate = tabularToDays(year, month, day);
+  for (let delta = 0; delta <= 5; delta++) {
+    for (const candidate of [estimate + delta, estimate - delta]) {
+      const hijri = daysToUmalqura(candidate);
+      if (hijri.year === year && hijri.month === month && hijri.day === day) return candidate;
+    }
+  }
+  return null;
+}
+
+const converters = {
+  tabular: { toDays: tabularToDays, fromDays: daysToTabular },
+  umalqura: { toDays: umalquraToDays, fromDays: daysToUmalqura }
+};
+
+function daysInHijriMonth(year, month, calendar = 'umalqura') {
+  const { toDays } = converters[calendar];
+  const start = toDays(year, month, 1);
+  const next = month === 12 ? toDays(year + 1, 1, 1) : toDays(year, month + 1, 1);
+  return next - start;
+}
+
+function formatGregorian({ year, month, day }) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function describeHijri({ year, month, day }) {
+  const names = MONTHS[month - 1];
+  const arabicDigits = value => String(value).replace(/\d/g, digit => '٠١٢٣٤٥٦٧٨٩'[digit]);
+  return {
+    year,
+    month,
+    day,
+    monthName: names.name,
+    monthNameArabic: names.arabic,
+    formatted: `${day} ${names.name} ${year} AH`,
+    formattedArabic: `${arabicDigits(day)} ${names.arabic} ${arabicDigits(year)} هـ`
+  };
+}
+
+// Gregorian date -> Hijri date
+function toHijri(year, month, day, { calendar = 'umalqura', offset = 0 } = {}) {
+  const hijri = converters[calendar].fromDays(gregorianToDays(year, month, day) + offset);
+  return describeHijri(hijri);
+}
+
+// Hijri date -> Gregorian date (null when the day doesn't exist in that month)
+function toGregorian(year, month, day, { calendar = 'umalqura', offset = 0 } = {}) {
+  if (month < 1 || month > 12 || day < 1 || day > daysInHijriMonth(year, month, calendar)) {
+    return null;
+  }
+  const days = converters[calendar].toDays(year, month, day) - offset;
+  const gregorian = daysToGregorian(days);
+  return {
+    ...gregorian,
+    date: formatGregorian(gregorian),
+    weekday: new Date(days * MS_PER_DAY).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+  };
+}
+
+// Fixed-date events of a Hijri year, each with its Gregorian date(s)
+function getEvents(year, options = {}) {
+  const calendar = options.calendar || 'umalqura';
+  const event = (id, name, month, day, lastDay = day, note) => {
+    const start = toGregorian(year, month, day, options);
+    const end = toGregorian(year, month, lastDay, options);
+    return {
+      id,
+      name,
+      hijri: describeHijri({ year, month, day }),
+      gregorian: start.date,
+      ...(lastDay !== day && { hijriEnd: describeHijri({ year, month, day: lastDay }), gregorianEnd: end.date }),
+      ...(note && { note })
+    };
+  };
+
+  const events = [
+    event('islamic-new-year', 'Islamic New Year', 1, 1),
+    event('ashura', 'Day of Ashura', 1, 10),
+    event('ramadan', 'Ramadan', 9, 1, daysInHijriMonth(year, 9, calendar)),
+    event('eid-al-fitr', 'Eid al-Fitr', 10, 1),
+    event('day-of-arafah', 'Day of Arafah', 12, 9),
+    event('eid-al-adha', 'Eid al-Adha', 12, 10)
+  ];
+
+  // Ayyam al-Bid: the 13th-15th of every month
+  MONTHS.forEach((names, index) => {
+    const month = index + 1;
+    events.push(event(
+      `white-days-${month}`,
+      `White Days of ${names.name}`,
+      month,
+      13,
+      15,
+      month === 12 ? 'The 13th of Dhu al-Hijjah is a day of Tashreeq, when fasting is not allowed' : undefined
+    ));
+  });
+
+  return events.sort((a, b) => a.gregorian.localeCompare(b.gregorian));
+}
+
+module.exports = {
+  CALENDARS,
+  MONTHS,
+  toHijri,
+  toGregorian,
+  daysInHijriMonth,
+  getEvents
+};
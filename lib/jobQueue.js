@@ -0,0 +1,171 @@
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// States a job can be in. Anything that isn't terminal gets re-queued after a restart.
+const TERMINAL_STATES = ['done', 'failed'];
+
+// Bounded worker queue for long-running jobs (video renders).
+// Queue state is written to disk so queued/interrupted jobs survive a server restart.
+// Every job also gets an event stream (`job:<id>`) carrying state changes, pipeline
+// events reported by the handler and a terminal `done`/`failed` event.
+class JobQueue extends EventEmitter {
+  constructor({ handler, concurrency = 1, storePath, maxAge = 24 * 60 * 60 * 1000 }) {
+    super();
+    this.handler = handler;
+    this.concurrency = Math.max(1, concurrency);
+    this.storePath = storePath;
+    this.maxAge = maxAge;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    this.restore();
+  }
+
+  // Load persisted jobs; anything that was queued or mid-run is put back in the queue
+  restore() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) return;
+
+    try {
+      const saved = fs.readJsonSync(this.storePath);
+      const now = Date.now();
+
+      (saved.jobs || [])
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .forEach(job => {
+          if (TERMINAL_STATES.includes(job.state)) {
+            if (now - new Date(job.updatedAt).getTime() > this.maxAge) return;
+          } else {
+            console.log(`♻️ Re-queuing job ${job.id} (was ${job.state})`);
+            job.state = 'queued';
+            job.progress = 0;
+            this.pending.push(job.id);
+          }
+          this.jobs.set(job.id, job);
+        });
+
+      console.log(`📦 Restored ${this.jobs.size} job(s), ${this.pending.length} queued`);
+    } catch (error) {
+      console.error('Error restoring job queue:', error);
+    }
+
+    this.persist();
+    setImmediate(() => this.drain());
+  }
+
+  persist() {
+    if (!this.storePath) return;
+
+    try {
+      const tempPath = `${this.storePath}.tmp`;
+      fs.ensureDirSync(path.dirname(this.storePath));
+      fs.writeJsonSync(tempPath, { jobs: Array.from(this.jobs.values()) });
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      console.error('Error persisting job queue:', error);
+    }
+  }
+
+  add(params, id = uuidv4()) {
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      state: 'queued',
+      progress: 0,
+      params,
+      result: null,
+      error: null,
+      stderrTail: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(id, job);
+    this.pending.push(id);
+    this.persist();
+    setImmediate(() => this.drain());
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  // Position in the queue (1-based), or 0 when the job isn't waiting
+  position(id) {
+    return this.pending.indexOf(id) + 1;
+  }
+
+  update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    const stateChanged = patch.state && patch.state !== job.state;
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+
+    // Progress ticks are frequent, only hit the disk when the state moves on
+    if (stateChanged) {
+      this.persist();
+      this.notify(id, 'state', { state: job.state, progress: job.progress });
+    }
+  }
+
+  notify(id, type, data = {}) {
+    this.emit(`job:${id}`, { type, jobId: id, timestamp: new Date().toISOString(), ...data });
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const id = this.pending.shift();
+      const job = this.jobs.get(id);
+      if (!job) continue;
+
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    console.log(`🏃 Starting job ${job.id}`);
+
+    try {
+      const result = await this.handler(
+        job,
+        patch => this.update(job.id, patch),
+        (type, data) => this.notify(job.id, type, data)
+      );
+      this.update(job.id, { state: 'done', progress: 100, result });
+      this.notify(job.id, 'done', { result });
+      console.log(`✅ Job ${job.id} done`);
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error);
+      const stderrTail = error.stderrTail || null;
+      this.update(job.id, { state: 'failed', error: error.message, stderrTail });
+      this.notify(job.id, 'failed', { error: error.message, stderrTail });
+    }
+  }
+
+  // Drop finished jobs older than maxAge
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    this.jobs.forEach((job, id) => {
+      if (TERMINAL_STATES.includes(job.state) && now - new Date(job.updatedAt).getTime() > this.maxAge) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    });
+
+    if (removed > 0) this.persist();
+    return removed;
+  }
+}
+
+module.exports = { JobQueue, TERMINAL_STATES };
@@ -0,0 +1,83 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// Checks on user-uploaded backgrounds. Uploads are filtered by MIME type when they come
+// in, but that is only what the client claims, so the file itself is probed with ffprobe
+// before a render relies on it.
+
+// Accepted MIME types -> kind of background
+const BACKGROUND_TYPES = {
+  'video/mp4': 'video',
+  'video/webm': 'video',
+  'video/quicktime': 'video',
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/webp': 'image'
+};
+
+const CODECS = {
+  video: ['h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg4', 'prores'],
+  image: ['mjpeg', 'png', 'webp']
+};
+
+const LIMITS = {
+  minSize: 320, // px, shortest side
+  maxSize: { video: 4096, image: 8192 }, // px, longest side
+  minDuration: 1, // seconds, videos only
+  maxDuration: 600
+};
+
+function probe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) reject(err);
+      else resolve(metadata);
+    });
+  });
+}
+
+// An uploaded background checked against its claimed type:
+// { background: { kind, codec, width, height, duration } } or { error }
+async function probeBackground(filePath, mimetype) {
+  const kind = BACKGROUND_TYPES[mimetype];
+  if (!kind) {
+    return { error: `Unsupported background type ${mimetype} (${Object.keys(BACKGROUND_TYPES).join(', ')})` };
+  }
+
+  let metadata;
+  try {
+    metadata = await probe(filePath);
+  } catch (error) {
+    return { error: `The background is not a readable ${kind}` };
+  }
+
+  const stream = (metadata.streams || []).find(candidate => candidate.codec_type === 'video');
+  if (!stream) {
+    return { error: `The background is not a readable ${kind}` };
+  }
+  if (!CODECS[kind].includes(stream.codec_name)) {
+    return { error: `Unsupported ${kind} codec ${stream.codec_name} (${CODECS[kind].join(', ')})` };
+  }
+
+  const { width, height } = stream;
+  if (Math.min(width, height) < LIMITS.minSize || Math.max(width, height) > LIMITS.maxSize[kind]) {
+    return {
+      error: `Background is ${width}x${height}, it must be at least ${LIMITS.minSize}px and at most ${LIMITS.maxSize[kind]}px on each side`
+    };
+  }
+
+  let duration = null;
+  if (kind === 'video') {
+    duration = parseFloat(metadata.format.duration);
+    if (isNaN(duration) || duration < LIMITS.minDuration || duration > LIMITS.maxDuration) {
+      return { error: `Background videos must be ${LIMITS.minDuration}-${LIMITS.maxDuration} seconds long` };
+    }
+  }
+
+  return { background: { kind, codec: stream.codec_name, width, height, duration } };
+}
+
+module.exports = {
+  BACKGROUND_TYPES,
+  LIMITS,
+  probeBackground
+};
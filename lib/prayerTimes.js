@@ -0,0 +1,257 @@
+// Prayer times calculation, done locally from the sun's position.
+// Follows the PrayTimes.org algorithm (Hamid Zarrabi-Zadeh): solar declination and
+// equation of time for the day, then the hour angle at which the sun reaches each
+// prayer's depression angle / shadow length.
+
+const METHODS = {
+  MWL: { name: 'Muslim World League', fajr: 18, isha: 17 },
+  ISNA: { name: 'Islamic Society of North America', fajr: 15, isha: 15 },
+  Egypt: { name: 'Egyptian General Authority of Survey', fajr: 19.5, isha: 17.5 },
+  Makkah: { name: 'Umm al-Qura University, Makkah', fajr: 18.5, isha: '90 min' },
+  Karachi: { name: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 },
+  Tehran: { name: 'Institute of Geophysics, University of Tehran', fajr: 17.7, isha: 14, maghrib: 4.5, midnight: 'Jafari' },
+  Jafari: { name: 'Shia Ithna-Ashari, Leva Institute, Qum', fajr: 16, isha: 14, maghrib: 4, midnight: 'Jafari' },
+  Gulf: { name: 'Gulf Region', fajr: 19.5, isha: '90 min' },
+  Kuwait: { name: 'Kuwait', fajr: 18, isha: 17.5 },
+  Qatar: { name: 'Qatar', fajr: 18, isha: '90 min' },
+  Singapore: { name: 'Majlis Ugama Islam Singapura', fajr: 20, isha: 18 },
+  France: { name: 'Union des Organisations Islamiques de France', fajr: 12, isha: 12 },
+  Turkey: { name: 'Diyanet İşleri Başkanlığı, Turkey', fajr: 18, isha: 17 },
+  Russia: { name: 'Spiritual Administration of Muslims of Russia', fajr: 16, isha: 15 }
+};
+
+// Shadow length factor for Asr
+const MADHABS = {
+  shafi: 1, // Shafi'i, Maliki, Hanbali
+  hanafi: 2
+};
+
+// How Fajr/Isha are bounded when the sun never gets low enough (high latitudes)
+const HIGH_LATITUDE_RULES = ['NightMiddle', 'AngleBased', 'OneSeventh', 'None'];
+
+const PRAYERS = ['imsak', 'fajr', 'sunrise', 'dhuhr', 'asr', 'sunset', 'maghrib', 'isha', 'midnight'];
+
+const DEFAULT_SETTINGS = {
+  imsak: '10 min',
+  dhuhr: '0 min',
+  maghrib: '0 min',
+  midnight: 'Standard'
+};
+
+// --- Degree-based trigonometry ---
+const dtr = d => (d * Math.PI) / 180;
+const rtd = r => (r * 180) / Math.PI;
+const sin = d => Math.sin(dtr(d));
+const cos = d => Math.cos(dtr(d));
+const tan = d => Math.tan(dtr(d));
+const arcsin = x => rtd(Math.asin(x));
+const arccos = x => rtd(Math.acos(x));
+const arctan2 = (y, x) => rtd(Math.atan2(y, x));
+const arccot = x => rtd(Math.atan(1 / x));
+const fix = (a, b) => {
+  const result = a - b * Math.floor(a / b);
+  return result < 0 ? result + b : result;
+};
+const fixAngle = a => fix(a, 360);
+const fixHour = a => fix(a, 24);
+const timeDiff = (t1, t2) => fixHour(t2 - t1);
+
+// "90 min" -> 90, 18 -> 18
+const evaluate = value => parseFloat(value);
+const isMinutes = value => typeof value === 'string' && value.includes('min');
+
+function julianDate(year, month, day) {
+  if (month <= 2) {
+    year -= 1;
+    month += 12;
+  }
+  const a = Math.floor(year / 100);
+  const b = 2 - a + Math.floor(a / 4);
+  return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+function sunPosition(jd) {
+  const d = jd - 2451545.0;
+  const g = fixAngle(357.529 + 0.98560028 * d);
+  const q = fixAngle(280.459 + 0.98564736 * d);
+  const l = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+  const e = 23.439 - 0.00000036 * d;
+
+  const ra = arctan2(cos(e) * sin(l), cos(l)) / 15;
+  return {
+    declination: arcsin(sin(e) * sin(l)),
+    equation: q / 15 - fixHour(ra)
+  };
+}
+
+// Calculate prayer times for one day.
+// options: { lat, lng, elevation, method, madhab, highLatitudeRule, adjustments, timezone (hours) }
+function calculateDay(year, month, day, options) {
+  const method = METHODS[options.method];
+  const settings = { ...DEFAULT_SETTINGS, ...method };
+  const { lat, lng } = options;
+  const elevation = options.elevation || 0;
+  const asrFactor = MADHABS[options.madhab];
+  const jDate = julianDate(year, month, day) - lng / (15 * 24);
+
+  const midDay = t => fixHour(12 - sunPosition(jDate + t).equation);
+
+  const sunAngleTime = (angle, t, counterClockwise) => {
+    const decl = sunPosition(jDate + t).declination;
+    const noon = midDay(t);
+    const hourAngle = arccos((-sin(angle) - sin(decl) * sin(lat)) / (cos(decl) * cos(lat))) / 15;
+    return noon + (counterClockwise ? -hourAngle : hourAngle);
+  };
+
+  const asrTime = (factor, t) => {
+    const decl = sunPosition(jDate + t).declination;
+    const angle = -arccot(factor + tan(Math.abs(lat - decl)));
+    return sunAngleTime(angle, t);
+  };
+
+  const riseSetAngle = 0.833 + 0.0347 * Math.sqrt(elevation);
+
+  // Initial guesses (hours) refined by one pass, as in PrayTimes
+  let times = { imsak: 5, fajr: 5, sunrise: 6, dhuhr: 12, asr: 13, sunset: 18, maghrib: 18, isha: 18 };
+  const portion = {};
+  Object.keys(times).forEach(key => {
+    portion[key] = times[key] / 24;
+  });
+
+  times = {
+    imsak: sunAngleTime(evaluate(settings.imsak), portion.imsak, true),
+    fajr: sunAngleTime(evaluate(settings.fajr), portion.fajr, true),
+    sunrise: sunAngleTime(riseSetAngle, portion.sunrise, true),
+    dhuhr: midDay(portion.dhuhr),
+    asr: asrTime(asrFactor, portion.asr),
+    sunset: sunAngleTime(riseSetAngle, portion.sunset),
+    maghrib: sunAngleTime(evaluate(settings.maghrib), portion.maghrib),
+    isha: sunAngleTime(evaluate(settings.isha), portion.isha)
+  };
+
+  // Shift from solar to local time
+  Object.keys(times).forEach(key => {
+    times[key] += options.timezone - lng / 15;
+  });
+
+  if (options.highLatitudeRule !== 'None') {
+    const night = timeDiff(times.sunset, times.sunrise);
+    const nightPortion = angle => {
+      const fraction = {
+        AngleBased: angle / 60,
+        OneSeventh: 1 / 7,
+        NightMiddle: 1 / 2
+      }[options.highLatitudeRule];
+      return fraction * night;
+    };
+    const adjustHighLatitude = (time, base, angle, counterClockwise) => {
+      const limit = nightPortion(angle);
+      const diff = counterClockwise ? timeDiff(time, base) : timeDiff(base, time);
+      if (isNaN(time) || diff > limit) {
+        return base + (counterClockwise ? -limit : limit);
+      }
+      return time;
+    };
+
+    // Only angle-based settings need bounding; minute offsets are applied below
+    if (!isMinutes(settings.imsak)) times.imsak = adjustHighLatitude(times.imsak, times.sunrise, evaluate(settings.imsak), true);
+    times.fajr = adjustHighLatitude(times.fajr, times.sunrise, evaluate(settings.fajr), true);
+    if (!isMinutes(settings.isha)) times.isha = adjustHighLatitude(times.isha, times.sunset, evaluate(settings.isha));
+    if (!isMinutes(settings.maghrib)) times.maghrib = adjustHighLatitude(times.maghrib, times.sunset, evaluate(settings.maghrib));
+  }
+
+  // Settings given in minutes are offsets from another time
+  if (isMinutes(settings.imsak)) times.imsak = times.fajr - evaluate(settings.imsak) / 60;
+  if (isMinutes(settings.maghrib)) times.maghrib = times.sunset + evaluate(settings.maghrib) / 60;
+  if (isMinutes(settings.isha)) times.isha = times.maghrib + evaluate(settings.isha) / 60;
+  times.dhuhr += evaluate(settings.dhuhr) / 60;
+
+  times.midnight = settings.midnight === 'Jafari'
+    ? times.sunset + timeDiff(times.sunset, times.fajr) / 2
+    : times.sunset + timeDiff(times.sunset, times.sunrise) / 2;
+
+  // Per-prayer minute adjustments requested by the caller
+  Object.entries(options.adjustments || {}).forEach(([prayer, minutes]) => {
+    times[prayer] += minutes / 60;
+  });
+
+  return times;
+}
+
+// Format decimal hours as HH:MM (rounded to the nearest minute), or null when the
+// sun never reaches the required angle
+function formatTime(hours) {
+  if (isNaN(hours)) return null;
+  const rounded = fixHour(hours + 0.5 / 60);
+  const h = Math.floor(rounded);
+  const m = Math.floor((rounded - h) * 60);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+// Same instant as an ISO timestamp in UTC
+function toTimestamp(year, month, day, hours, timezone) {
+  if (isNaN(hours)) return null;
+  const minutes = Math.round((hours - timezone) * 60);
+  return new Date(Date.UTC(year, month - 1, day, 0, minutes)).toISOString();
+}
+
+// UTC offset in hours of an IANA time zone on a given date (null for an unknown zone)
+function timezoneOffset(timeZone, year, month, day) {
+  try {
+    const formatted = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(new Date(Date.UTC(year, month - 1, day, 12)))
+      .find(part => part.type === 'timeZoneName').value;
+
+    const match = formatted.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) return 0; // plain "GMT"
+    const offset = parseInt(match[2]) + parseInt(match[3]) / 60;
+    return match[1] === '-' ? -offset : offset;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getPrayerTimes(year, month, day, options) {
+  const timezone = typeof options.timezone === 'string'
+    ? timezoneOffset(options.timezone, year, month, day)
+    : options.timezone;
+
+  const raw = calculateDay(year, month, day, { ...options, timezone });
+  const times = {};
+  const timestamps = {};
+
+  PRAYERS.forEach(prayer => {
+    times[prayer] = formatTime(raw[prayer]);
+    timestamps[prayer] = toTimestamp(year, month, day, raw[prayer], timezone);
+  });
+
+  return {
+    date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    utcOffset: timezone,
+    times,
+    timestamps
+  };
+}
+
+function getMonthlyPrayerTimes(year, month, options) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const days = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    days.push(getPrayerTimes(year, month, day, options));
+  }
+  return days;
+}
+
+function isValidTimezone(timeZone) {
+  return timezoneOffset(timeZone, 2000, 1, 1) !== null;
+}
+
+module.exports = {
+  METHODS,
+  MADHABS,
+  HIGH_LATITUDE_RULES,
+  PRAYERS,
+  getPrayerTimes,
+  getMonthlyPrayerTimes,
+  isValidTimezone
+};
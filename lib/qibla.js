@@ -0,0 +1,49 @@
+// Qibla direction: the initial great-circle bearing from a location to the Kaaba
+
+const KAABA = { lat: 21.422487, lng: 39.826206 };
+const EARTH_RADIUS_KM = 6371.0088; // mean radius
+
+const dtr = d => (d * Math.PI) / 180;
+const rtd = r => (r * 180) / Math.PI;
+const normalizeBearing = degrees => ((degrees % 360) + 360) % 360;
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Bearing in degrees clockwise from true north
+function qiblaBearing(lat, lng) {
+  const phi1 = dtr(lat);
+  const phi2 = dtr(KAABA.lat);
+  const deltaLambda = dtr(KAABA.lng - lng);
+
+  const y = Math.sin(deltaLambda) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+  return normalizeBearing(rtd(Math.atan2(y, x)));
+}
+
+// Haversine distance in km
+function distanceToKaaba(lat, lng) {
+  const deltaPhi = dtr(KAABA.lat - lat);
+  const deltaLambda = dtr(KAABA.lng - lng);
+  const a = Math.sin(deltaPhi / 2) ** 2 +
+    Math.cos(dtr(lat)) * Math.cos(dtr(KAABA.lat)) * Math.sin(deltaLambda / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// declination: magnetic declination in degrees, east positive (as printed on NOAA/BGS
+// calculators). A compass reads true bearing minus declination.
+function getQibla(lat, lng, declination) {
+  const bearing = qiblaBearing(lat, lng);
+  const result = {
+    kaaba: KAABA,
+    bearing: round(bearing, 2),
+    distanceKm: round(distanceToKaaba(lat, lng), 1)
+  };
+
+  if (declination !== undefined) {
+    result.declination = declination;
+    result.magneticBearing = round(normalizeBearing(bearing - declination), 2);
+  }
+
+  return result;
+}
+
+module.exports = { KAABA, getQibla };
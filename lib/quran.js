@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Quran text (Uthmani script) and the default translation, parsed once at startup
+const quranData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'quran-uthmani.json'), 'utf8'));
+const translationData = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'en.sahih.json'), 'utf8'));
+
+// Divisions every ayah carries, keyed by the name used in the API path
+const DIVISIONS = {
+  'juz': 'juz',
+  'page': 'page',
+  'hizb-quarter': 'hizbQuarter',
+  'ruku': 'ruku',
+  'manzil': 'manzil'
+};
+
+const surahs = [];
+const ayahs = []; // every ayah in mushaf order, index = global ayah number - 1
+const surahOffsets = []; // index in `ayahs` of each surah's first ayah
+const divisionIndex = {};
+const sajdaAyahs = [];
+
+Object.values(DIVISIONS).forEach(field => {
+  divisionIndex[field] = new Map();
+});
+
+// The text prefixes the bismillah to the first ayah of every surah but al-Fatihah, where it
+// is the first ayah, and at-Tawbah, which has none. The index holds each ayah's own text.
+const BISMILLAH = quranData.data.surahs[0].ayahs[0].text.replace(/^\uFEFF/, '').normalize('NFC');
+
+function stripBismillah(surah, numberInSurah, text) {
+  const normalized = text.normalize('NFC');
+  if (surah === 1 || numberInSurah !== 1 || !normalized.startsWith(BISMILLAH)) {
+    return text;
+  }
+  return normalized.slice(BISMILLAH.length).trim();
+}
+
+quranData.data.surahs.forEach((surah, surahIndex) => {
+  const translationSurah = translationData.data.surahs[surahIndex];
+  surahOffsets.push(ayahs.length);
+
+  surahs.push({
+    number: surah.number,
+    name: surah.name,
+    englishName: surah.englishName,
+    englishNameTranslation: surah.englishNameTranslation,
+    revelationType: surah.revelationType,
+    numberOfAyahs: surah.ayahs.length
+  });
+
+  surah.ayahs.forEach((ayah, ayahIndex) => {
+    const translation = translationSurah.ayahs[ayahIndex];
+    const entry = {
+      number: ayah.number,
+      surah: surah.number,
+      numberInSurah: ayah.numberInSurah,
+      text: stripBismillah(surah.number, ayah.numberInSurah, ayah.text.replace(/^\uFEFF/, '')),
+      translation: translation ? translation.text : null,
+      juz: ayah.juz,
+      page: ayah.page,
+      hizbQuarter: ayah.hizbQuarter,
+      ruku: ayah.ruku,
+      manzil: ayah.manzil,
+      sajda: ayah.sajda
+    };
+
+    ayahs.push(entry);
+
+    Object.values(DIVISIONS).forEach(field => {
+      const index = divisionIndex[field];
+      if (!index.has(ayah[field])) index.set(ayah[field], []);
+      index.get(ayah[field]).push(entry);
+    });
+
+    if (ayah.sajda) sajdaAyahs.push(entry);
+  });
+});
+
+console.log(`📖 Quran indexed: ${surahs.length} surahs, ${ayahs.length} ayahs`);
+
+function getSurahs() {
+  return surahs;
+}
+
+function getAllAyahs() {
+  return ayahs;
+}
+
+function getSurah(number) {
+  return surahs[number - 1] || null;
+}
+
+// Ayahs of a surah, optionally limited to [from, to] (numbers within the surah)
+function getSurahAyahs(number, from, to) {
+  const surah = getSurah(number);
+  if (!surah) return null;
+
+  const start = from || 1;
+  const end = Math.min(to || surah.numberOfAyahs, surah.numberOfAyahs);
+  const first = surahOffsets[number - 1];
+
+  return ayahs.slice(first + start - 1, first + end);
+}
+
+// Ayahs in a juz/page/hizb-quarter/ruku/manzil, or null for an unknown division or number
+function getDivision(division, number) {
+  const field = DIVISIONS[division];
+  if (!field) return null;
+  return divisionIndex[field].get(number) || null;
+}
+
+function getDivisionCount(division) {
+  const field = DIVISIONS[division];
+  return field ? divisionIndex[field].size : 0;
+}
+
+function getSajdaAyahs() {
+  return sajdaAyahs;
+}
+
+module.exports = {
+  quranData,
+  translationData,
+  DIVISIONS,
+  BISMILLAH,
+  getSurahs,
+  getAllAyahs,
+  getSurah,
+  getSurahAyahs,
+  getDivision,
+  getDivisionCount,
+  getSajdaAyahs
+};
@@ -0,0 +1,68 @@
+// Reciter registry - the one list every audio route and the video renderer use.
+// `directory` is the everyayah.com folder with one MP3 per ayah (SSSAAA.mp3).
+// `aliases` keeps old ids working: the short ids the frontend used to send to
+// /api/verse-audio-range and the raw directory names /api/verse-audio accepted.
+
+// AUDIO_BASE_URL swaps in a mirror (or a local fixture server) with the same layout
+const AUDIO_BASE_URL = (process.env.AUDIO_BASE_URL || 'https://everyayah.com/data').replace(/\/+$/, '');
+const DEFAULT_RECITER = 'abdul_basit';
+
+const HAFS = 'Hafs an Asim';
+
+const RECITERS = [
+  { id: 'abdul_basit', name: 'Abdul Basit Abdul Samad', directory: 'Abdul_Basit_Murattal_192kbps', bitrate: 192, style: 'murattal', riwayah: [HAFS], aliases: ['abdulbasit', 'AbdulBasit_AbdulSamad'] },
+  { id: 'abdul_basit_mujawwad', name: 'Abdul Basit Abdul Samad (Mujawwad)', directory: 'Abdul_Basit_Mujawwad_128kbps', bitrate: 128, style: 'mujawwad', riwayah: [HAFS], aliases: [] },
+  { id: 'alafasy', name: 'Mishary Rashid Alafasy', directory: 'Alafasy_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: ['Alafasy'] },
+  { id: 'sudais', name: 'Abdur-Rahman As-Sudais', directory: 'Abdurrahmaan_As-Sudais_192kbps', bitrate: 192, style: 'murattal', riwayah: [HAFS], aliases: ['Sudais'] },
+  { id: 'abdullah_basfar', name: 'Abdullah Basfar', directory: 'Abdullah_Basfar_192kbps', bitrate: 192, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'abu_bakr_shatri', name: 'Abu Bakr Ash-Shaatree', directory: 'Abu_Bakr_Ash-Shaatree_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'ahmed_neana', name: 'Ahmed Neana', directory: 'Ahmed_Neana_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'ahmed_ajamy', name: 'Ahmed ibn Ali al-Ajamy', directory: 'Ahmed_ibn_Ali_al-Ajamy_128kbps_ketaballah.net', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'akram_alaqimy', name: 'Akram AlAlaqimy', directory: 'Akram_AlAlaqimy_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'ali_hajjaj', name: 'Ali Hajjaj AlSuesy', directory: 'Ali_Hajjaj_AlSuesy_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'hani_rifai', name: 'Hani Rifai', directory: 'Hani_Rifai_192kbps', bitrate: 192, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'hudhaify', name: 'Ali Al-Hudhaify', directory: 'Hudhaify_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: ['Hudhaify'] },
+  { id: 'khalid_qahtani', name: 'Khaalid Abdullaah al-Qahtaanee', directory: 'Khaalid_Abdullaah_al-Qahtaanee_192kbps', bitrate: 192, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'maher_muaiqly', name: 'Maher Al-Muaiqly', directory: 'MaherAlMuaiqly128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: ['maher', 'Maher_Al_Muaiqly'] },
+  { id: 'minshawy', name: 'Muhammad Siddiq Al-Minshawi', directory: 'Minshawy_Murattal_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: ['minshawi', 'Minshawi'] },
+  { id: 'minshawy_mujawwad', name: 'Muhammad Siddiq Al-Minshawi (Mujawwad)', directory: 'Minshawy_Mujawwad_192kbps', bitrate: 192, style: 'mujawwad', riwayah: [HAFS], aliases: [] },
+  { id: 'tablaway', name: 'Mohammad al-Tablaway', directory: 'Mohammad_al_Tablaway_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'muhsin_qasim', name: 'Muhsin Al Qasim', directory: 'Muhsin_Al_Qasim_192kbps', bitrate: 192, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'abdullaah_juhaynee', name: 'Abdullaah 3awwaad Al-Juhaynee', directory: 'Abdullaah_3awwaad_Al-Juhaynee_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'husary', name: 'Mahmoud Khalil Al-Husary', directory: 'Husary_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] },
+  { id: 'husary_mujawwad', name: 'Mahmoud Khalil Al-Husary (Mujawwad)', directory: 'Husary_128kbps_Mujawwad', bitrate: 128, style: 'mujawwad', riwayah: [HAFS], aliases: [] },
+  { id: 'ghamadi', name: 'Saad Al-Ghamdi', directory: 'Ghamadi_40kbps', bitrate: 40, style: 'murattal', riwayah: [HAFS], aliases: ['saad', 'Saad_Al_Ghamidi'] },
+  { id: 'shuraim', name: 'Saud Al-Shuraim', directory: 'Saood_ash-Shuraym_128kbps', bitrate: 128, style: 'murattal', riwayah: [HAFS], aliases: [] }
+];
+
+// id, alias or directory name -> reciter
+const lookup = new Map();
+RECITERS.forEach(reciter => {
+  [reciter.id, reciter.directory, ...reciter.aliases].forEach(key => lookup.set(key, reciter));
+});
+
+function listReciters() {
+  return RECITERS.map(({ aliases, ...reciter }) => ({ ...reciter, language: 'Arabic' }));
+}
+
+// The reciter for an id (or legacy alias / directory name); the default reciter when
+// none was given, null when it isn't known
+function resolveReciter(id) {
+  if (id === undefined || id === null || id === '') {
+    return lookup.get(DEFAULT_RECITER);
+  }
+  return lookup.get(String(id)) || null;
+}
+
+function getAyahAudioUrl(reciter, surah, ayah) {
+  const surahStr = String(surah).padStart(3, '0');
+  const ayahStr = String(ayah).padStart(3, '0');
+  return `${AUDIO_BASE_URL}/${reciter.directory}/${surahStr}${ayahStr}.mp3`;
+}
+
+module.exports = {
+  DEFAULT_RECITER,
+  listReciters,
+  resolveReciter,
+  getAyahAudioUrl
+};
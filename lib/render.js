@@ -0,0 +1,542 @@
+const { createCanvas } = require('canvas');
+const themes = require('./themes');
+
+// Layout and drawing of the text overlays, shared by the final video, the preview video and
+// the preview frame so all three put the same pixels in the same places. A layout fixes the
+// frame size, theme, fonts and text sizes; a screen ({ arabicText, translations }) is one
+// verse, or one page of a verse, drawn on it.
+//
+// Everything is drawn into full-width PNG layers ({ name, buffer, x, y }) that FFmpeg puts
+// on top of the background in order, see compositeFilters.
+
+// User-facing font names -> the family names the font files are registered under
+const FONT_MAPPING = {
+  'Al Mushaf': 'Al Majeed Quranic Font',
+  'Uthmanic Hafs': 'KFGQPC HAFS Uthmanic Script'
+};
+
+// Video frames by aspect ratio. The older orientation names are aliases, and any other
+// size can be asked for with width and height.
+const ASPECT_RATIOS = {
+  '16:9': { width: 1920, height: 1080 },
+  '9:16': { width: 1080, height: 1920 },
+  '1:1': { width: 1080, height: 1080 },
+  '4:5': { width: 1080, height: 1350 }
+};
+const ORIENTATION_RATIOS = { landscape: '16:9', portrait: '9:16', square: '1:1' };
+const CUSTOM_SIZE = { min: 240, max: 3840, maxRatio: 4 };
+
+// Parts of the frame each platform covers with its own UI (caption, buttons, progress bar),
+// as fractions of the frame. The text, watermark and counter stay out of them.
+const SAFE_AREAS = {
+  none: { top: 0, right: 0, bottom: 0, left: 0 },
+  tiktok: { top: 0.08, right: 0.14, bottom: 0.22, left: 0.06 },
+  reels: { top: 0.12, right: 0.12, bottom: 0.2, left: 0.06 },
+  shorts: { top: 0.08, right: 0.14, bottom: 0.2, left: 0.06 }
+};
+
+// Still images (POST /api/generate-image), at the usual social media sizes
+const IMAGE_SIZES = {
+  square: { width: 1080, height: 1080 },
+  portrait: { width: 1080, height: 1350 },
+  story: { width: 1080, height: 1920 },
+  og: { width: 1200, height: 630 }
+};
+
+const BRAND_TEXT = 'Made on SakinahTime.com';
+
+// The video frame for a request: width and height (both, rounded down to even numbers for
+// the encoder), an aspectRatio or an orientation, 16:9 when none is given, plus the safe
+// area preset. { frame: { width, height, safeArea } } or { error }
+function resolveFrame({ aspectRatio, orientation, width, height, safeArea = 'none' } = {}) {
+  if (!SAFE_AREAS[safeArea || 'none']) {
+    return { error: `safeArea must be one of: ${Object.keys(SAFE_AREAS).join(', ')}` };
+  }
+  const frame = { safeArea: safeArea || 'none' };
+
+  const given = value => value !== undefined && value !== null && value !== '';
+  if (given(width) || given(height)) {
+    const [w, h] = [width, height].map(value => parseInt(value));
+    const inRange = value => value >= CUSTOM_SIZE.min && value <= CUSTOM_SIZE.max;
+    if (!inRange(w) || !inRange(h)) {
+      return { error: `width and height must both be given, between ${CUSTOM_SIZE.min} and ${CUSTOM_SIZE.max} pixels` };
+    }
+    if (Math.max(w / h, h / w) > CUSTOM_SIZE.maxRatio) {
+      return { error: `The frame can be at most ${CUSTOM_SIZE.maxRatio} times as wide as it is tall, or the other way round` };
+    }
+    return { frame: { ...frame, width: Math.floor(w / 2) * 2, height: Math.floor(h / 2) * 2 } };
+  }
+
+  const ratio = aspectRatio || ORIENTATION_RATIOS[orientation] || '16:9';
+  if (!ASPECT_RATIOS[ratio]) {
+    return { error: `aspectRatio must be one of: ${Object.keys(ASPECT_RATIOS).join(', ')} (or give width and height)` };
+  }
+  return { frame: { ...frame, ...ASPECT_RATIOS[ratio] } };
+}
+
+// An explicit fontFamily / textColor / fontSize wins over the theme. The text is centred in
+// and sized to the part of the frame outside the safeArea (a SAFE_AREAS name) insets.
+function createLayout({ width, height, safeArea = 'none', theme = themes.getTheme(themes.DEFAULT_THEME), fontFamily, textColor, fontSize }) {
+  const requestedFont = fontFamily || theme.arabicFont;
+  const baseFontSize = parseInt(fontSize) || Math.floor(height * 0.045);
+  const fractions = SAFE_AREAS[safeArea] || SAFE_AREAS.none;
+  const insets = {
+    top: Math.floor(height * fractions.top),
+    right: Math.floor(width * fractions.right),
+    bottom: Math.floor(height * fractions.bottom),
+    left: Math.floor(width * fractions.left)
+  };
+  const safeWidth = width - insets.left - insets.right;
+  return {
+    width,
+    height,
+    insets,
+    centerX: Math.round(insets.left + safeWidth / 2),
+    safeWidth,
+    theme,
+    arabicFont: FONT_MAPPING[requestedFont] || requestedFont,
+    textColor: textColor || theme.textColor,
+    translationColor: textColor || theme.translationColor,
+    maxTextWidth: Math.floor(safeWidth * 0.85),
+    arabicBoxHeight: Math.floor(height * 0.2), // 20% of the frame for the Arabic
+    translationBoxHeight: Math.floor(height * 0.15), // 15% per translation
+    baseFontSize,
+    arabicFontSize: baseFontSize,
+    translationFontSize: Math.floor(baseFontSize * theme.translationScale)
+  };
+}
+
+// The font of a translation under the theme: its translation font only replaces the fonts
+// of left-to-right scripts
+function translationFont(theme, translation) {
+  return translation.direction === 'ltr' && theme.translationFont ? theme.translationFont : translation.font;
+}
+
+const measureCtx = createCanvas(1, 1).getContext('2d');
+
+// Word-wrap text into lines no wider than maxWidth in the given canvas font
+function wrapLines(text, font, maxWidth) {
+  measureCtx.font = font;
+  const lines = [];
+  let currentLine = '';
+  for (const word of text.split(' ')) {
+    const testLine = currentLine ? `${currentLine} ${word}` : word;
+    if (measureCtx.measureText(testLine).width <= maxWidth || !currentLine) {
+      currentLine = testLine;
+    } else {
+      lines.push(currentLine);
+      currentLine = word;
+    }
+  }
+  if (currentLine) lines.push(currentLine);
+  return lines;
+}
+
+// Largest size (from baseSize down, in 2px steps) at which the text, wrapped if need be,
+// fits maxWidth x maxHeight: { fontSize, lines }
+function fitText(text, fontFamily, baseSize, maxWidth, maxHeight, lineHeight) {
+  for (let size = baseSize; size >= 16; size -= 2) {
+    // wrapLines sets the measuring font; a single word wider than the box needs a smaller size
+    const lines = wrapLines(text, `${size}px "${fontFamily}"`, maxWidth);
+    const fitsWidth = lines.every(line => measureCtx.measureText(line).width <= maxWidth);
+    if (fitsWidth && lines.length * size * lineHeight <= maxHeight) {
+      return { fontSize: size, lines };
+    }
+  }
+  return { fontSize: baseSize, lines: [text] };
+}
+
+// Text sizes for a whole video, from its first screen so every screen uses the same ones.
+// With pagination ({ minFontSize }) long verses are split into pages rather than shrunk
+// below a readable size.
+function sizeText(layout, firstScreen, pagination = null) {
+  const { theme, maxTextWidth } = layout;
+  layout.arabicFontSize = fitText(
+    firstScreen.arabicText, layout.arabicFont, layout.baseFontSize, maxTextWidth, layout.arabicBoxHeight, theme.lineHeight
+  ).fontSize;
+
+  const baseTranslationSize = Math.floor(layout.baseFontSize * theme.translationScale);
+  const firstTranslation = firstScreen.translations[0];
+  layout.translationFontSize = firstTranslation
+    ? fitText(firstTranslation.text, firstTranslation.font, baseTranslationSize, maxTextWidth, layout.translationBoxHeight, theme.lineHeight).fontSize
+    : baseTranslationSize;
+
+  if (pagination) {
+    const minFontSize = pagination.minFontSize || Math.max(24, Math.floor(layout.height * 0.035));
+    layout.arabicFontSize = Math.max(layout.arabicFontSize, minFontSize);
+    layout.translationFontSize = Math.max(layout.translationFontSize, Math.floor(minFontSize * theme.translationScale));
+  }
+  return layout;
+}
+
+// Split a screen into the fewest pages whose Arabic and translations fit their boxes at the
+// layout's text sizes. Arabic words are shared out evenly, translations in proportion.
+// Pages carry tokenOffset, the index of their first Arabic word in the verse.
+function splitIntoPages(layout, screen) {
+  const { theme, maxTextWidth } = layout;
+  const arabicWords = screen.arabicText.split(' ');
+  const arabicFont = `${layout.arabicFontSize}px "${layout.arabicFont}"`;
+  const arabicLineHeight = layout.arabicFontSize * theme.lineHeight;
+  const translationLineHeight = layout.translationFontSize * theme.lineHeight;
+  const share = (words, pageCount, page) =>
+    words.slice(Math.round(words.length * page / pageCount), Math.round(words.length * (page + 1) / pageCount));
+
+  for (let pageCount = 1; ; pageCount++) {
+    const pages = [];
+    for (let page = 0; page < pageCount; page++) {
+      pages.push({
+        tokenOffset: Math.round(arabicWords.length * page / pageCount),
+        arabicText: share(arabicWords, pageCount, page).join(' '),
+        translations: screen.translations.map(translation => ({
+          ...translation,
+          text: share(translation.text.split(' '), pageCount, page).join(' ')
+        }))
+      });
+    }
+
+    const fits = pages.every(page =>
+      wrapLines(page.arabicText, arabicFont, maxTextWidth).length * arabicLineHeight <= layout.arabicBoxHeight &&
+      page.translations.every(translation =>
+        wrapLines(translation.text, `${layout.translationFontSize}px "${translation.font}"`, maxTextWidth).length * translationLineHeight <= layout.translationBoxHeight
+      )
+    );
+    // A page per word is as far as it goes
+    if (fits || pageCount >= arabicWords.length) {
+      return pages;
+    }
+  }
+}
+
+// Draw text with the theme's outline or drop shadow (fill style and font are the caller's)
+function drawThemedText(ctx, text, x, y, theme) {
+  ctx.save();
+  if (theme.textEffect === 'shadow') {
+    ctx.shadowColor = theme.shadowColor;
+    ctx.shadowBlur = theme.shadowBlur;
+    ctx.shadowOffsetY = Math.ceil(theme.shadowBlur / 4);
+  } else if (theme.textEffect === 'stroke' && theme.strokeWidth > 0) {
+    ctx.strokeStyle = theme.strokeColor;
+    ctx.lineWidth = theme.strokeWidth;
+    ctx.strokeText(text, x, y);
+  }
+  ctx.fillText(text, x, y);
+  ctx.restore();
+}
+
+// Paint the theme's backdrop behind a text box ({ x, y, width, height }) on a full-frame canvas.
+// For 'blur' this is the tint over the blurred area, see blurFilters.
+function drawBackdrop(ctx, box, theme, frameWidth) {
+  if (theme.backdrop === 'none' || theme.boxOpacity === 0) return;
+
+  if (theme.backdrop === 'gradient') {
+    // Full width, solid behind the text and fading out above and below it
+    const fade = box.height / 2;
+    const top = box.y - fade;
+    const height = box.height + fade * 2;
+    const gradient = ctx.createLinearGradient(0, top, 0, top + height);
+    gradient.addColorStop(0, themes.rgba(theme.boxColor, 0));
+    gradient.addColorStop(0.25, themes.rgba(theme.boxColor, theme.boxOpacity));
+    gradient.addColorStop(0.75, themes.rgba(theme.boxColor, theme.boxOpacity));
+    gradient.addColorStop(1, themes.rgba(theme.boxColor, 0));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, top, frameWidth, height);
+    return;
+  }
+
+  ctx.fillStyle = themes.rgba(theme.boxColor, theme.boxOpacity);
+  ctx.beginPath();
+  ctx.roundRect(box.x, box.y, box.width, box.height, theme.boxRadius);
+  ctx.fill();
+}
+
+// Vertical centre of a text block of the given height for the theme's position, kept a
+// margin away from the frame edges or out of the safe area insets, whichever is more
+function themedCenterY(layout, blockHeight) {
+  const { theme, height, insets } = layout;
+  const margin = Math.floor(height * 0.08);
+  if (theme.position === 'top') return Math.max(margin, insets.top) + blockHeight / 2;
+  if (theme.position === 'bottom') return height - Math.max(margin, insets.bottom) - blockHeight / 2;
+  return (insets.top + height - insets.bottom) / 2;
+}
+
+// Draw one screen: the backdrop, Arabic and translation layers and where the box went.
+// With byWord the Arabic is laid out word by word (right to left) and wordPositions
+// (token index on this screen -> { word, x, y }, x being the word's right edge) tells
+// renderHighlight where to repaint them.
+function renderScreen(layout, screen, { byWord = false } = {}) {
+  const { width, height, theme, centerX, maxTextWidth, arabicBoxHeight, translationBoxHeight } = layout;
+  const lineHeightRatio = theme.lineHeight;
+
+  // Arabic, centred in its box
+  const arabicFont = `${layout.arabicFontSize}px "${layout.arabicFont}"`;
+  const arabicLines = wrapLines(screen.arabicText, arabicFont, maxTextWidth);
+  const arabicCanvas = createCanvas(width, arabicBoxHeight);
+  const arabicCtx = arabicCanvas.getContext('2d');
+  arabicCtx.font = arabicFont;
+  arabicCtx.fillStyle = layout.textColor;
+  arabicCtx.textAlign = 'center';
+  arabicCtx.textBaseline = 'middle';
+
+  const arabicLineHeight = layout.arabicFontSize * lineHeightRatio;
+  const arabicHeight = arabicLines.length * arabicLineHeight;
+  const startY = (arabicBoxHeight - arabicHeight) / 2 + arabicLineHeight / 2;
+  const wordPositions = [];
+  arabicLines.forEach((line, index) => {
+    const y = startY + index * arabicLineHeight;
+    if (!byWord) {
+      drawThemedText(arabicCtx, line, centerX, y, theme);
+      return;
+    }
+    const words = line.split(' ');
+    const spaceWidth = arabicCtx.measureText(' ').width;
+    const lineWidth = words.reduce((sum, word) => sum + arabicCtx.measureText(word).width, 0) + spaceWidth * (words.length - 1);
+    let x = centerX + lineWidth / 2;
+    words.forEach(word => {
+      wordPositions.push({ word, x, y });
+      x -= arabicCtx.measureText(word).width + spaceWidth;
+    });
+  });
+  if (byWord) {
+    arabicCtx.textAlign = 'right';
+    wordPositions.forEach(({ word, x, y }) => drawThemedText(arabicCtx, word, x, y, theme));
+  }
+
+  // Translations, each in its own box and shrunk further if it doesn't fit
+  let translationHeight = 0;
+  const translationBuffers = screen.translations.map(translation => {
+    const fitted = fitText(translation.text, translation.font, layout.translationFontSize, maxTextWidth, translationBoxHeight, lineHeightRatio);
+    const canvas = createCanvas(width, translationBoxHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.font = `${fitted.fontSize}px "${translation.font}"`;
+    ctx.direction = translation.direction; // RTL translations (Urdu, Persian) wrap right-to-left
+    ctx.fillStyle = layout.translationColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const lineHeight = fitted.fontSize * lineHeightRatio;
+    const translationStartY = (translationBoxHeight - fitted.lines.length * lineHeight) / 2 + lineHeight / 2;
+    fitted.lines.forEach((line, index) => {
+      drawThemedText(ctx, line, centerX, translationStartY + index * lineHeight, theme);
+    });
+
+    translationHeight += lineHeight * fitted.lines.length;
+    return canvas.toBuffer('image/png');
+  });
+
+  // The Arabic sits above the centre of the frame and the translations below it; the box
+  // covers both, and the theme may then move the whole block up or down
+  const padding = Math.floor(height * theme.boxPadding);
+  const extraGap = Math.floor(height * 0.05);
+  const arabicOffset = Math.floor(arabicHeight / 2) + extraGap;
+  const translationOffset = Math.floor(translationHeight / 2) + extraGap;
+  const boxTop = height / 2 - arabicOffset - arabicHeight / 2 - padding;
+  const boxBottom = height / 2 + translationOffset + translationHeight / 2 + padding;
+  const shift = themedCenterY(layout, boxBottom - boxTop) - (boxTop + boxBottom) / 2;
+
+  const boxWidth = layout.safeWidth * 0.9;
+  const box = { x: centerX - boxWidth / 2, y: boxTop + shift, width: boxWidth, height: boxBottom - boxTop };
+  const backdropCanvas = createCanvas(width, height);
+  drawBackdrop(backdropCanvas.getContext('2d'), box, theme, width);
+
+  const arabicY = Math.round((height - arabicBoxHeight) / 2 + shift - arabicOffset);
+  return {
+    box,
+    arabicLineCount: arabicLines.length,
+    wordPositions,
+    backdrop: { name: 'backdrop', buffer: backdropCanvas.toBuffer('image/png'), x: 0, y: 0 },
+    arabic: { name: 'arabic', buffer: arabicCanvas.toBuffer('image/png'), x: 0, y: arabicY },
+    translations: translationBuffers.map((buffer, index) => ({
+      name: `translation_${index}`,
+      buffer,
+      x: 0,
+      y: Math.round((height - translationBoxHeight) / 2 + shift + translationOffset + index * translationBoxHeight)
+    }))
+  };
+}
+
+// The given words of a rendered screen in the highlight colour, as a layer over its Arabic
+function renderHighlight(layout, rendered, tokens, color) {
+  const canvas = createCanvas(layout.width, layout.arabicBoxHeight);
+  const ctx = canvas.getContext('2d');
+  ctx.font = `${layout.arabicFontSize}px "${layout.arabicFont}"`;
+  ctx.fillStyle = color;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  tokens.forEach(token => {
+    const position = rendered.wordPositions[token];
+    drawThemedText(ctx, position.word, position.x, position.y, layout.theme);
+  });
+  return { name: 'highlight', buffer: canvas.toBuffer('image/png'), x: 0, y: rendered.arabic.y };
+}
+
+// Repetition counter badges ("1 / 3" ... "3 / 3"), centred near the bottom (the top when the
+// text sits at the bottom). An item's badges are drawn on one sheet, COUNTER_SHEET_COLUMNS to
+// a row, and compositeFilters shows the current one, so an item said 100 times is still a
+// single input and overlay.
+const COUNTER_SHEET_COLUMNS = 10;
+const COUNTER_FPS = 30; // how often the current badge is looked up
+
+function renderCounter(layout, count) {
+  const { height, theme, insets } = layout;
+  const fontSize = Math.max(28, Math.floor(height * 0.035));
+  const badgeWidth = fontSize * 6;
+  const badgeHeight = Math.floor(fontSize * 1.8);
+  const columns = Math.min(count, COUNTER_SHEET_COLUMNS);
+  const canvas = createCanvas(badgeWidth * columns, badgeHeight * Math.ceil(count / columns));
+  const ctx = canvas.getContext('2d');
+
+  ctx.font = `600 ${fontSize}px "${theme.watermarkFont}", "Lato", sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (let index = 0; index < count; index++) {
+    const x = (index % columns) * badgeWidth;
+    const y = Math.floor(index / columns) * badgeHeight;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.beginPath();
+    ctx.roundRect(x, y, badgeWidth, badgeHeight, badgeHeight / 2);
+    ctx.fill();
+
+    ctx.fillStyle = layout.textColor;
+    ctx.fillText(`${index + 1} / ${count}`, x + badgeWidth / 2, y + badgeHeight / 2);
+  }
+
+  const margin = Math.floor(height * 0.1);
+  return {
+    name: 'counter',
+    buffer: canvas.toBuffer('image/png'),
+    x: Math.round(layout.centerX - badgeWidth / 2),
+    y: theme.position === 'bottom' ? Math.max(margin, insets.top) : height - badgeHeight - Math.max(margin, insets.bottom),
+    sheet: { width: badgeWidth, height: badgeHeight, columns, count }
+  };
+}
+
+// Brand in the bottom-right corner, title (surah and verses, or the adhkar collection) in
+// the top-left with an optional second line under it
+function renderWatermark(layout, title, subtitle) {
+  const { width, height, theme, insets } = layout;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const padding = Math.floor(width * 0.03);
+  const [top, right, bottom, left] = [insets.top, insets.right, insets.bottom, insets.left].map(inset => inset + padding);
+  const brandFontSize = Math.max(18, Math.floor(width * 0.015));
+  const infoFontSize = Math.max(22, Math.floor(width * 0.02));
+
+  ctx.font = `600 ${brandFontSize}px "${theme.watermarkFont}", "Lato", sans-serif`;
+  ctx.fillStyle = theme.watermarkColor;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+  ctx.shadowBlur = 8;
+  ctx.shadowOffsetY = 2;
+  ctx.shadowOffsetX = 0;
+  ctx.fillText(BRAND_TEXT, width - right, height - bottom);
+
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+  ctx.shadowBlur = 6;
+  ctx.font = `400 ${infoFontSize}px "${theme.watermarkFont}", "Lato", sans-serif`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(title, left, top);
+  if (subtitle) {
+    ctx.fillText(subtitle, left, top + Math.floor(infoFontSize * 1.4));
+  }
+
+  return { name: 'watermark', buffer: canvas.toBuffer('image/png'), x: 0, y: 0 };
+}
+
+// FFmpeg filters for the 'blur' backdrop: blur the part of the `input` frame under the
+// box and put it back. The blurred area is rectangular, the tint on top keeps the radius.
+function blurFilters(input, output, box, frameWidth, frameHeight) {
+  const even = value => Math.max(2, Math.floor(value / 2) * 2);
+  const x = even(Math.min(Math.max(0, box.x), frameWidth - 2));
+  const y = even(Math.min(Math.max(0, box.y), frameHeight - 2));
+  const width = even(Math.min(box.width, frameWidth - x));
+  const height = even(Math.min(box.height, frameHeight - y));
+  return [
+    `[${input}]split[${output}_base][${output}_source]`,
+    `[${output}_source]crop=${width}:${height}:${x}:${y},boxblur=20:2[${output}_blur]`,
+    `[${output}_base][${output}_blur]overlay=${x}:${y}[${output}]`
+  ];
+}
+
+// The filter graph putting the layers on the background (input 0), layer i being input
+// firstInput + i. Layers with windows ([[start, end], ...] in seconds) are only shown then,
+// and a counter sheet (renderCounter) shows its badges in turn over its single window.
+// `boxes` are the screens' text boxes, blurred for the 'blur' backdrop (as one area).
+// The background is scaled to cover the frame and cropped to it, never stretched.
+// kenBurns ({ frames, fps }) makes that many frames out of a single still image, slowly
+// zooming in while panning across. The result is labelled [final], scaled by `scale` for previews.
+function compositeFilters(layout, layers, { firstInput, boxes = [], scale = 1, kenBurns = null }) {
+  const { width, height, theme } = layout;
+  const fill = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+  let background = fill;
+  if (kenBurns) {
+    // zoompan works on whole pixels, working at twice the size keeps the motion smooth
+    const { frames, fps } = kenBurns;
+    const progress = `on/${frames}`;
+    background = `${fill},scale=${width * 2}:${height * 2},` +
+      `zoompan=z='1+0.15*${progress}':x='(iw-iw/zoom)*${progress}':y='(ih-ih/zoom)/2':d=${frames}:s=${width}x${height}:fps=${fps},setsar=1`;
+  }
+  const filters = [`[0:v]${background}[bg]`];
+  let current = 'bg';
+
+  if (theme.backdrop === 'blur' && boxes.length > 0) {
+    const top = Math.min(...boxes.map(box => box.y));
+    const bottom = Math.max(...boxes.map(box => box.y + box.height));
+    const area = { x: boxes[0].x, y: top, width: boxes[0].width, height: bottom - top };
+    filters.push(...blurFilters('bg', 'bg_blurred', area, width, height));
+    current = 'bg_blurred';
+  }
+
+  layers.forEach((layer, index) => {
+    const enable = layer.windows
+      ? `:enable='${layer.windows.map(([start, end]) => `between(t,${start},${end})`).join('+')}'`
+      : '';
+    const output = `${layer.name}_${index}`;
+    let input = `${firstInput + index}:v`;
+    if (layer.sheet) {
+      // A sheet of badges shown one at a time through a badge-sized transparent window: it
+      // slides under the window so the badge of the current repetition, the window's time
+      // split evenly between the badges, is the one in view
+      const { width: badgeWidth, height: badgeHeight, columns, count } = layer.sheet;
+      const [start, end] = layer.windows[0];
+      const badge = `clip(floor((t-${start})/${(end - start) / count}),0,${count - 1})`;
+      filters.push(
+        `color=c=black@0:s=${badgeWidth}x${badgeHeight}:r=${COUNTER_FPS}:d=${end},format=rgba[${output}_window]`,
+        `[${output}_window][${input}]overlay=x='-${badgeWidth}*mod(${badge},${columns})':y='-${badgeHeight}*floor(${badge}/${columns})':eval=frame[${output}_badge]`
+      );
+      input = `${output}_badge`;
+    }
+    filters.push(`[${current}][${input}]overlay=${layer.x}:${layer.y}${enable}[${output}]`);
+    current = output;
+  });
+
+  if (scale === 1) {
+    filters.push(`[${current}]null[final]`);
+  } else {
+    const even = value => Math.max(2, Math.round(value * scale / 2) * 2);
+    filters.push(`[${current}]scale=${even(width)}:${even(height)}[final]`);
+  }
+  return filters;
+}
+
+module.exports = {
+  FONT_MAPPING,
+  ASPECT_RATIOS,
+  ORIENTATION_RATIOS,
+  SAFE_AREAS,
+  IMAGE_SIZES,
+  resolveFrame,
+  createLayout,
+  translationFont,
+  wrapLines,
+  fitText,
+  sizeText,
+  splitIntoPages,
+  renderScreen,
+  renderHighlight,
+  renderCounter,
+  renderWatermark,
+  compositeFilters
+};
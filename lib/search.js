@@ -0,0 +1,213 @@
+const quran = require('./quran');
+const { normalizeArabicVariants } = require('./arabic');
+const { stem } = require('./stemmer');
+
+// Inverted indexes over the Arabic text and the translation, built once at startup.
+// Ranking is BM25; results that match more of the query words come first.
+// The Arabic is each ayah's own text: lib/quran leaves out the bismillah the first ayah of a
+// surah carries, so a search for it ranks al-Fatihah's first ayah first and the other
+// first ayahs aren't weighted by words that aren't theirs.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const ARABIC_CONJUNCTIONS = ['و', 'ف'];
+const ARABIC_ARTICLES = ['بال', 'كال', 'فال', 'وال', 'ال', 'لل'];
+const ARABIC_NO_STRIP = ['الله', 'اللهم'];
+
+const ENGLISH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'he', 'his',
+  'i', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'them', 'they',
+  'this', 'those', 'to', 'was', 'were', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+const ARABIC_WORD = /[^\s]+/g;
+const ENGLISH_WORD = /[A-Za-z]+(?:'[A-Za-z]+)?/g;
+
+// Index terms for one Arabic word: its spelling variants plus the forms without
+// a leading conjunction (و/ف) and definite article, so "صبر" and "الصبر" both find "بِٱلصَّبْرِ"
+function arabicWordTerms(word) {
+  const terms = new Set();
+
+  normalizeArabicVariants(word).forEach(form => {
+    terms.add(form);
+
+    let stripped = form;
+    if (ARABIC_CONJUNCTIONS.includes(stripped[0]) && stripped.length > 3) {
+      stripped = stripped.slice(1);
+      terms.add(stripped);
+    }
+    if (ARABIC_NO_STRIP.includes(stripped)) return;
+
+    for (const article of ARABIC_ARTICLES) {
+      if (stripped.startsWith(article) && stripped.length - article.length >= 2) {
+        terms.add(stripped.slice(article.length));
+        terms.add(`ال${stripped.slice(article.length)}`);
+        break;
+      }
+    }
+  });
+
+  return Array.from(terms);
+}
+
+// Terms a query word may match - spelling variants only, no prefix stripping
+function arabicQueryTerms(word) {
+  return normalizeArabicVariants(word);
+}
+
+function englishWordTerms(word) {
+  const lower = word.toLowerCase().replace(/'s$/, '');
+  if (ENGLISH_STOP_WORDS.has(lower)) return [];
+  return [stem(lower)];
+}
+
+function englishQueryTerms(word) {
+  return englishWordTerms(word);
+}
+
+const LANGUAGES = {
+  ar: {
+    field: 'text',
+    wordPattern: ARABIC_WORD,
+    indexTerms: arabicWordTerms,
+    queryTerms: arabicQueryTerms
+  },
+  en: {
+    field: 'translation',
+    wordPattern: ENGLISH_WORD,
+    indexTerms: englishWordTerms,
+    queryTerms: englishQueryTerms
+  }
+};
+
+// Surface words of a text with their character offsets
+function tokenize(text, pattern) {
+  const tokens = [];
+  const regex = new RegExp(pattern.source, 'g');
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+function buildIndex(lang) {
+  const config = LANGUAGES[lang];
+  const documents = quran.getAllAyahs();
+  const postings = new Map();
+  const lengths = new Array(documents.length).fill(0);
+
+  documents.forEach((ayah, docIndex) => {
+    const text = ayah[config.field] || '';
+
+    tokenize(text, config.wordPattern).forEach(token => {
+      const terms = config.indexTerms(token.word);
+      if (terms.length === 0) return;
+      lengths[docIndex]++;
+
+      terms.forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(docIndex, (docs.get(docIndex) || 0) + 1);
+      });
+    });
+  });
+
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    config,
+    documents,
+    postings,
+    lengths,
+    averageLength: totalLength / documents.length
+  };
+}
+
+const startedAt = Date.now();
+const indexes = {
+  ar: buildIndex('ar'),
+  en: buildIndex('en')
+};
+console.log(`🔎 Search index built in ${Date.now() - startedAt}ms (${indexes.ar.postings.size} Arabic terms, ${indexes.en.postings.size} English terms)`);
+
+function bm25(index, term, docIndex, termFrequency) {
+  const docCount = index.documents.length;
+  const docFrequency = index.postings.get(term).size;
+  const idf = Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+  const lengthNorm = 1 - BM25_B + BM25_B * (index.lengths[docIndex] / index.averageLength);
+  return idf * (termFrequency * (BM25_K1 + 1)) / (termFrequency + BM25_K1 * lengthNorm);
+}
+
+// Character spans in the ayah text that matched one of the query words
+function findHighlights(index, text, queryWords) {
+  const wanted = new Set();
+  queryWords.forEach(word => word.terms.forEach(term => wanted.add(term)));
+
+  return tokenize(text, index.config.wordPattern)
+    .filter(token => index.config.indexTerms(token.word).some(term => wanted.has(term)))
+    .map(token => ({ start: token.start, end: token.end }));
+}
+
+// Search ayahs. Returns one page of ranked results plus the total hit count.
+function search(query, { lang = 'ar', page = 1, limit = 20 } = {}) {
+  const index = indexes[lang];
+  const config = index.config;
+
+  // Stop words and unknown words aren't in the index, so they simply drop out here
+  const queryWords = tokenize(query, config.wordPattern)
+    .map(token => token.word)
+    .map(word => ({ word, terms: config.queryTerms(word).filter(term => index.postings.has(term)) }))
+    .filter(word => word.terms.length > 0);
+
+  // docIndex -> { score, matched }
+  const hits = new Map();
+
+  queryWords.forEach(queryWord => {
+    // A word counts once per ayah, with the best of its spelling variants
+    const best = new Map();
+    queryWord.terms.forEach(term => {
+      index.postings.get(term).forEach((termFrequency, docIndex) => {
+        const score = bm25(index, term, docIndex, termFrequency);
+        if (score > (best.get(docIndex) || 0)) best.set(docIndex, score);
+      });
+    });
+
+    best.forEach((score, docIndex) => {
+      const hit = hits.get(docIndex) || { score: 0, matched: 0 };
+      hit.score += score;
+      hit.matched++;
+      hits.set(docIndex, hit);
+    });
+  });
+
+  const ranked = Array.from(hits.entries())
+    .sort((a, b) => b[1].matched - a[1].matched || b[1].score - a[1].score || a[0] - b[0]);
+
+  const offset = (page - 1) * limit;
+  const results = ranked.slice(offset, offset + limit).map(([docIndex, hit]) => {
+    const ayah = index.documents[docIndex];
+    const surah = quran.getSurah(ayah.surah);
+
+    return {
+      number: ayah.number,
+      surah: ayah.surah,
+      ayah: ayah.numberInSurah,
+      surahName: surah.englishName,
+      text: ayah.text,
+      translation: ayah.translation,
+      score: Math.round(hit.score * 1000) / 1000,
+      matchedWords: hit.matched,
+      highlightField: config.field,
+      highlights: findHighlights(index, ayah[config.field], queryWords)
+    };
+  });
+
+  return {
+    total: ranked.length,
+    results
+  };
+}
+
+module.exports = { search };
@@ -0,0 +1,143 @@
+// Porter stemmer (M.F. Porter, 1980) for English search terms.
+// "believers", "believe" and "believing" all reduce to "believ", so the search
+// index and the query agree on word forms.
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+function isConsonant(word, i) {
+  const ch = word[i];
+  if ('aeiou'.includes(ch)) return false;
+  if (ch === 'y') return i === 0 ? true : !isConsonant(word, i - 1);
+  return true;
+}
+
+// Number of vowel-consonant sequences ("m" in Porter's paper)
+function measure(stem) {
+  let m = 0;
+  let i = 0;
+  const n = stem.length;
+
+  while (i < n && isConsonant(stem, i)) i++;
+  while (i < n) {
+    while (i < n && !isConsonant(stem, i)) i++;
+    if (i >= n) break;
+    while (i < n && isConsonant(stem, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// consonant-vowel-consonant ending, where the last consonant isn't w, x or y
+function endsWithCvc(word) {
+  const n = word.length;
+  if (n < 3) return false;
+  return isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1]);
+}
+
+function replaceSuffix(word, suffixes, minMeasure) {
+  for (const [suffix, replacement] of suffixes) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+function stem(input) {
+  let word = input.toLowerCase();
+  if (word.length <= 2) return word;
+
+  // Step 1a: plurals
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = word.slice(0, -2);
+  else if (word.endsWith('ss')) { /* keep */ }
+  else if (word.endsWith('s')) word = word.slice(0, -1);
+
+  // Step 1b: -ed / -ing
+  let step1bCleanup = false;
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else if (word.endsWith('ed') && hasVowel(word.slice(0, -2))) {
+    word = word.slice(0, -2);
+    step1bCleanup = true;
+  } else if (word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+    word = word.slice(0, -3);
+    step1bCleanup = true;
+  }
+
+  if (step1bCleanup) {
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+      word = word.slice(0, -1);
+    } else if (measure(word) === 1 && endsWithCvc(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c: y -> i
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  word = replaceSuffix(word, STEP2_SUFFIXES, 0);
+  word = replaceSuffix(word, STEP3_SUFFIXES, 0);
+
+  // Step 4: drop remaining suffixes on long stems
+  for (const suffix of STEP4_SUFFIXES) {
+    if (word.endsWith(suffix)) {
+      const stemPart = word.slice(0, -suffix.length);
+      if (measure(stemPart) > 1) word = stemPart;
+      break;
+    }
+  }
+  if (word.endsWith('ion')) {
+    const stemPart = word.slice(0, -3);
+    if (measure(stemPart) > 1 && (stemPart.endsWith('s') || stemPart.endsWith('t'))) word = stemPart;
+  }
+
+  // Step 5: tidy up a trailing e / double l
+  if (word.endsWith('e')) {
+    const stemPart = word.slice(0, -1);
+    const m = measure(stemPart);
+    if (m > 1 || (m === 1 && !endsWithCvc(stemPart))) word = stemPart;
+  }
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+module.exports = { stem };
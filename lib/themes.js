@@ -0,0 +1,120 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Overlay themes bundled in themes.json: fonts, colours, the backdrop behind the text and
+// where the text sits. Every theme defines every field, so a request only has to name a
+// theme and may override single fields of it.
+//   textEffect: 'stroke' outlines the text, 'shadow' casts a drop shadow, 'none' is plain
+//   backdrop:   'box' is a rounded box, 'gradient' a full-width band fading out at the top
+//               and bottom, 'blur' blurs the background behind a (lightly tinted) box
+//   boxPadding: fraction of the video height around the text
+//   translationFont: null keeps each translation's own script font; a font set here is
+//               only used for left-to-right translations
+
+const dataset = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'themes.json'), 'utf8'));
+
+const COLOR = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i;
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Field -> check, returning an error message for a bad value
+const oneOf = values => value => (values.includes(value) ? null : `must be one of: ${values.join(', ')}`);
+const between = (min, max) => value =>
+  (typeof value === 'number' && value >= min && value <= max ? null : `must be a number between ${min} and ${max}`);
+const color = value => (typeof value === 'string' && COLOR.test(value) ? null : 'must be a CSS colour');
+const hexColor = value => (typeof value === 'string' && HEX_COLOR.test(value) ? null : 'must be a hex colour such as #000000');
+const fontName = value => (typeof value === 'string' && value.trim() && value.length <= 100 ? null : 'must be a font name');
+
+const FIELDS = {
+  arabicFont: fontName,
+  translationFont: value => (value === null ? null : fontName(value)),
+  watermarkFont: fontName,
+  textColor: color,
+  translationColor: color,
+  watermarkColor: color,
+  lineHeight: between(1, 2.5),
+  translationScale: between(0.3, 1.2),
+  textEffect: oneOf(['stroke', 'shadow', 'none']),
+  strokeColor: color,
+  strokeWidth: between(0, 10),
+  shadowColor: color,
+  shadowBlur: between(0, 50),
+  backdrop: oneOf(['box', 'gradient', 'blur', 'none']),
+  boxColor: hexColor,
+  boxOpacity: between(0, 1),
+  boxRadius: between(0, 200),
+  boxPadding: between(0, 0.2),
+  position: oneOf(['top', 'center', 'bottom'])
+};
+
+const DEFAULT_THEME = dataset.default;
+
+const themes = new Map(dataset.themes.map(theme => {
+  Object.keys(FIELDS).forEach(field => {
+    if (!(field in theme)) {
+      throw new Error(`themes.json: theme "${theme.id}" is missing "${field}"`);
+    }
+    const problem = FIELDS[field](theme[field]);
+    if (problem) {
+      throw new Error(`themes.json: theme "${theme.id}" ${field} ${problem}`);
+    }
+  });
+  return [theme.id, theme];
+}));
+
+if (!themes.has(DEFAULT_THEME)) {
+  throw new Error(`themes.json: default theme "${DEFAULT_THEME}" is not defined`);
+}
+
+console.log(`🎨 Themes loaded: ${themes.size} (default ${DEFAULT_THEME})`);
+
+function getVersion() {
+  return { version: dataset.version };
+}
+
+function listThemes() {
+  return Array.from(themes.values());
+}
+
+function getTheme(id) {
+  return themes.get(id) || null;
+}
+
+// The named theme (the default when none is given) with the overrides applied:
+// { theme } or { error } for an unknown theme or a bad override
+function resolveTheme(id, overrides = {}) {
+  const base = id ? themes.get(String(id)) : themes.get(DEFAULT_THEME);
+  if (!base) {
+    return { error: `Unknown theme: ${id} (${Array.from(themes.keys()).join(', ')})` };
+  }
+
+  for (const [field, value] of Object.entries(overrides)) {
+    if (!FIELDS[field]) {
+      return { error: `Unknown theme field: ${field}` };
+    }
+    const problem = FIELDS[field](value);
+    if (problem) {
+      return { error: `Theme field ${field} ${problem}` };
+    }
+  }
+
+  return { theme: { ...base, ...overrides } };
+}
+
+// '#rgb' / '#rrggbb' plus an opacity -> 'rgba(r, g, b, a)'
+function rgba(hex, opacity) {
+  let digits = hex.replace('#', '');
+  if (digits.length === 3) {
+    digits = digits.split('').map(digit => digit + digit).join('');
+  }
+  const [r, g, b] = [0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  getVersion,
+  listThemes,
+  getTheme,
+  resolveTheme,
+  rgba
+};
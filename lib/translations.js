@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Translation registry. The bundled Sahih International text is always available;
+// any other alquran.cloud-format edition dropped into translations/ is picked up at startup.
+
+const DEFAULT_TRANSLATION = 'en.sahih';
+const TRANSLATIONS_DIR = path.join(__dirname, '..', 'translations');
+
+const RTL_LANGUAGES = ['ar', 'ur', 'fa', 'he', 'ps', 'ug', 'dv', 'ku', 'sd', 'yi'];
+
+// Canvas font per script. Arial has no Arabic-script glyphs, so RTL translations
+// (Urdu, Persian, ...) are drawn with Amiri, which covers the extended Arabic letters.
+const RTL_FONT = 'Amiri';
+const LTR_FONT = 'Arial';
+
+const translations = new Map();
+
+function register(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!data.data || !data.data.surahs || !data.data.edition) {
+    throw new Error('not an alquran.cloud edition (missing data.surahs/data.edition)');
+  }
+
+  const edition = data.data.edition;
+  const id = edition.identifier || path.basename(filePath, '.json');
+  const language = edition.language || id.split('.')[0];
+  const direction = edition.direction || (RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr');
+
+  translations.set(id, {
+    id,
+    name: edition.name || id,
+    englishName: edition.englishName || edition.name || id,
+    language,
+    direction,
+    font: direction === 'rtl' ? RTL_FONT : LTR_FONT,
+    surahs: data.data.surahs
+  });
+}
+
+function loadTranslations() {
+  register(path.join(__dirname, '..', 'en.sahih.json'));
+
+  if (fs.existsSync(TRANSLATIONS_DIR)) {
+    fs.readdirSync(TRANSLATIONS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          register(path.join(TRANSLATIONS_DIR, file));
+        } catch (error) {
+          console.error(`✗ Skipping translation ${file}:`, error.message);
+        }
+      });
+  }
+
+  console.log(`🌐 Translations loaded: ${Array.from(translations.keys()).join(', ')}`);
+}
+
+loadTranslations();
+
+function listTranslations() {
+  return Array.from(translations.values()).map(({ surahs, ...meta }) => meta);
+}
+
+function getTranslation(id) {
+  return translations.get(id) || null;
+}
+
+function getAyahTranslation(id, surah, ayah) {
+  const translation = translations.get(id);
+  if (!translation || !translation.surahs[surah - 1]) return null;
+
+  const entry = translation.surahs[surah - 1].ayahs[ayah - 1];
+  return entry ? entry.text : null;
+}
+
+// Turn the `translation` request parameter into a list of translation ids.
+// Accepts a single id, a comma-separated list or an array (stacked captions),
+// or "none" for no translation at all. Missing means the default translation.
+// Ids that aren't registered come back in `unknown`.
+function resolveTranslationIds(param) {
+  if (param === undefined || param === null || param === '') {
+    return { ids: [DEFAULT_TRANSLATION], unknown: [] };
+  }
+
+  const ids = (Array.isArray(param) ? param : String(param).split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean);
+
+  if (ids.length === 1 && ids[0] === 'none') {
+    return { ids: [], unknown: [] };
+  }
+
+  return {
+    ids: Array.from(new Set(ids.filter(id => translations.has(id)))),
+    unknown: ids.filter(id => !translations.has(id))
+  };
+}
+
+module.exports = {
+  DEFAULT_TRANSLATION,
+  listTranslations,
+  getTranslation,
+  getAyahTranslation,
+  resolveTranslationIds
+};
@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BISMILLAH } = require('./quran');
+
+// Word-level recitation timings in the quran-align format (github.com/cpfair/quran-align),
+// one file per reciter dropped into segments/ as <reciter id>.json:
+//   [{ "surah": 1, "ayah": 1, "segments": [[wordStart, wordEnd, startMs, endMs], ...] }, ...]
+// Word indices are 0-based with wordEnd exclusive, times are relative to the start of the
+// ayah's own audio file. Files are loaded on first use.
+
+const SEGMENTS_DIR = process.env.SEGMENTS_DIR || path.join(__dirname, '..', 'segments');
+
+// The recitation files (and so the timings) of first ayahs don't include the bismillah
+// the text prefixes to them
+const BISMILLAH_WORDS = BISMILLAH.split(' ').length;
+
+// Pause marks (ۖ ۗ ۛ ...) are separate tokens in the Uthmani text but not words
+const isWord = token => /[\u0621-\u064A\u0671-\u06D3]/.test(token);
+
+const reciterSegments = new Map(); // reciter id -> Map("surah:ayah" -> segments)
+
+function segmentsPath(reciterId) {
+  return path.join(SEGMENTS_DIR, `${path.basename(reciterId)}.json`);
+}
+
+function hasWordTimings(reciterId) {
+  return reciterSegments.has(reciterId) || fs.existsSync(segmentsPath(reciterId));
+}
+
+function loadSegments(reciterId) {
+  if (!reciterSegments.has(reciterId)) {
+    const byAyah = new Map();
+    JSON.parse(fs.readFileSync(segmentsPath(reciterId), 'utf8')).forEach(entry => {
+      byAyah.set(`${entry.surah}:${entry.ayah}`, entry.segments || []);
+    });
+    reciterSegments.set(reciterId, byAyah);
+    console.log(`⏱️ Loaded word timings for ${reciterId} (${byAyah.size} ayahs)`);
+  }
+  return reciterSegments.get(reciterId);
+}
+
+// When each word of an ayah is recited, against the ayah text as displayed:
+// [{ tokens: [indices into text.split(' ')], start, end }] with times in seconds.
+// null when there are no timings for the reciter or the ayah.
+function getWordTimings(reciterId, surah, ayah, text) {
+  if (!hasWordTimings(reciterId)) return null;
+  const segments = loadSegments(reciterId).get(`${surah}:${ayah}`);
+  if (!segments || segments.length === 0) return null;
+
+  // Token index of every recited word
+  const wordTokens = [];
+  text.split(' ').forEach((token, index) => {
+    if (isWord(token)) wordTokens.push(index);
+  });
+  if (surah !== 1 && ayah === 1 && text.normalize('NFC').startsWith(BISMILLAH)) {
+    wordTokens.splice(0, BISMILLAH_WORDS);
+  }
+
+  return segments
+    .map(([wordStart, wordEnd, startMs, endMs]) => ({
+      tokens: wordTokens.slice(wordStart, wordEnd),
+      start: startMs / 1000,
+      end: endMs / 1000
+    }))
+    .filter(timing => timing.tokens.length > 0 && timing.end > timing.start);
+}
+
+module.exports = {
+  SEGMENTS_DIR,
+  hasWordTimings,
+  getWordTimings
+};
@@ -4,9 +4,28 @@ const multer = require('multer');
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs-extra');
 const path = require('path');
-const axios = require('axios');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { createCanvas, registerFont } = require('canvas');
+const { JobQueue } = require('./lib/jobQueue');
+const { AudioCache } = require('./lib/audioCache');
+const quran = require('./lib/quran');
+const { quranData } = quran;
+const { search } = require('./lib/search');
+const translations = require('./lib/translations');
+const { prepareArabicForDisplay, hasArabic } = require('./lib/arabic');
+const prayerTimes = require('./lib/prayerTimes');
+const { getQibla } = require('./lib/qibla');
+const adhkar = require('./lib/adhkar');
+const hijri = require('./lib/hijri');
+const reciters = require('./lib/reciters');
+const wordTimings = require('./lib/wordTimings');
+const captions = require('./lib/captions');
+const themes = require('./lib/themes');
+const render = require('./lib/render');
+const media = require('./lib/media');
+const backgrounds = require('./lib/backgrounds');
+const encoding = require('./lib/encoding');
 
 
 // Register fonts with their correct internal names
@@ -16,7 +35,9 @@ try {
     { path: './fonts/UthmanicHafs1Ver18.ttf', family: 'KFGQPC HAFS Uthmanic Script' },
     { path: './fonts/AlMushafQuran.ttf', family: 'Al Majeed Quranic Font' },
     { path: './fonts/UtmanTahaNaskh.ttf', family: 'KFGQPC Uthman Taha Naskh' },
-    { path: './fonts/UthmanicHafs1Ver09.ttf', family: 'KFGQPC Uthmanic Script HAFS' }
+    { path: './fonts/UthmanicHafs1Ver09.ttf', family: 'KFGQPC Uthmanic Script HAFS' },
+    // Naskh font for right-to-left translations (Urdu, Persian, ...)
+    { path: './fonts/Amiri-Regular.ttf', family: 'Amiri' }
   ];
   
   fontFiles.forEach(font => {
@@ -63,11 +84,28 @@ app.use(cors({
     'http://127.0.0.1:3000'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
 }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+// Job state and library metadata hold user text and file paths, so they live in DATA_DIR.
+// It is never served, nor are the uploads and temp files, whatever the static root holds.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const PRIVATE_DIRS = [DATA_DIR, path.join(__dirname, 'uploads'), path.join(__dirname, 'temp')].map(dir => path.resolve(dir));
+
+function isPrivatePath(urlPath) {
+  let filePath;
+  try {
+    filePath = path.join(path.resolve('.'), decodeURIComponent(urlPath));
+  } catch (error) {
+    return false; // malformed, express.static turns it away
+  }
+  return PRIVATE_DIRS.some(dir => filePath === dir || filePath.startsWith(dir + path.sep));
+}
+
+app.use((req, res, next) => (isPrivatePath(req.path) ? res.status(404).end() : next()));
 app.use(express.static('.'));
 app.use('/previews', express.static(path.join(__dirname, 'previews')));
 
@@ -93,7 +131,8 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    memory: process.memoryUsage()
+    memory: process.memoryUsage(),
+    audioCache: audioCache.stats()
   });
 });
 
@@ -110,7 +149,40 @@ const storage = multer.diskStorage({
   }
 });
 
-const upload = multer({ storage });
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB) || 200;
+
+// Only backgrounds and recitations are uploaded, anything else is turned away before it is
+// stored. Backgrounds are probed with ffprobe before they are used (lib/media).
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const accepted = file.fieldname === 'background'
+      ? Boolean(media.BACKGROUND_TYPES[file.mimetype])
+      : file.fieldname === 'audio' && file.mimetype.startsWith('audio/');
+    if (accepted) {
+      return cb(null, true);
+    }
+    const error = new Error(`Unsupported ${file.fieldname} file type: ${file.mimetype}`);
+    error.code = 'UNSUPPORTED_UPLOAD';
+    cb(error);
+  }
+});
+
+// upload.single() / upload.fields() answering a rejected upload with a JSON error
+// (413 when it is too large) instead of failing the request
+function acceptUploads(middleware) {
+  return (req, res, next) => middleware(req, res, error => {
+    if (!error) {
+      return next();
+    }
+    [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean).forEach(file => fs.removeSync(file.path));
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Uploads are limited to ${MAX_UPLOAD_MB} MB per file` });
+    }
+    res.status(400).json({ error: error.message });
+  });
+}
 
 // Ensure directories exist
 const dirs = ['uploads', 'generated', 'temp'];
@@ -118,36 +190,152 @@ dirs.forEach(dir => {
   fs.ensureDirSync(path.join(__dirname, dir));
 });
 
+// A store file in DATA_DIR, moved there from where it used to be in the served tree
+function dataStorePath(name, legacyPath) {
+  const storePath = path.join(DATA_DIR, name);
+  if (!fs.existsSync(storePath) && fs.existsSync(legacyPath)) {
+    fs.moveSync(legacyPath, storePath);
+  }
+  return storePath;
+}
+
+// Video renders run in a bounded queue so a small VM isn't running several encodes at once.
+// Queue state lives in DATA_DIR so pending renders pick up again after a restart.
+const videoQueue = new JobQueue({
+  handler: runVideoJob,
+  concurrency: parseInt(process.env.VIDEO_JOB_CONCURRENCY) || 1,
+  storePath: dataStorePath('video-queue.json', path.join(__dirname, 'jobs', 'video-queue.json'))
+});
+
+// Files left by renders a restart interrupted (re-queued, so their uploads are kept for the
+// next run) or by renders that failed
+videoQueue.jobs.forEach(job => {
+  if (job.state === 'queued') {
+    removeJobFiles(job, { keepUploads: true });
+    removeJobOutput(job);
+  } else if (job.state === 'failed') {
+    removeJobFiles(job);
+    removeJobOutput(job);
+  }
+});
+
+// Queued previews get their own worker so they aren't stuck behind a long encode.
+// They're only worth anything for a few seconds, so they aren't persisted and finished
+// ones are dropped after ten minutes.
+const previewQueue = new JobQueue({
+  handler: runPreviewJob,
+  concurrency: 1,
+  maxAge: 10 * 60 * 1000
+});
+setInterval(() => previewQueue.prune(), 60 * 1000).unref();
+
+// Verse recitations are cached on disk instead of being fetched for every render.
+// AUDIO_BASE_URL points downloads at a mirror, AUDIO_LOCAL_DIR at a pre-populated copy
+// laid out like everyayah.com, and AUDIO_OFFLINE=true stops downloading altogether.
+const audioCache = new AudioCache({
+  dir: process.env.AUDIO_CACHE_DIR || path.join(__dirname, 'audio-cache'),
+  maxBytes: (parseInt(process.env.AUDIO_CACHE_MAX_MB) || 512) * 1024 * 1024,
+  localDir: process.env.AUDIO_LOCAL_DIR || null,
+  offline: process.env.AUDIO_OFFLINE === 'true'
+});
+
+// Background clips offered for videos, with their metadata, thumbnails and hover previews
+// (kept in DATA_DIR, served through /api/thumbnail and /api/backgrounds/:id/preview).
+// Clips dropped into videos/ by hand are picked up when the server starts.
+const backgroundLibrary = new backgrounds.BackgroundLibrary({
+  dir: path.join(__dirname, 'videos'),
+  thumbnailsDir: path.join(DATA_DIR, 'background-thumbnails'),
+  storePath: dataStorePath('library.json', path.join(__dirname, 'videos', 'library.json'))
+});
+backgroundLibrary.scan().catch(error => console.error('Error scanning the background library:', error));
+
+// The clip a request picks from the library by backgroundId or backgroundFilename, or the
+// first one when it names neither. Clips that never made it into the library (failed or not
+// yet scanned) can't be picked, so previews and renders use the same ones. Path or null.
+function libraryBackgroundPath({ backgroundId, backgroundFilename }) {
+  const entry = backgroundId
+    ? backgroundLibrary.get(String(backgroundId))
+    : backgroundFilename
+      ? backgroundLibrary.findByFilename(path.basename(String(backgroundFilename)))
+      : backgroundLibrary.list().find(candidate => fs.existsSync(backgroundLibrary.clipPath(candidate)));
+  return entry && fs.existsSync(backgroundLibrary.clipPath(entry)) ? backgroundLibrary.clipPath(entry) : null;
+}
+
+// Library management is only open to requests bearing ADMIN_TOKEN, and is switched off
+// entirely when no token is configured
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN is not set)' });
+  }
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  const given = Buffer.from(match ? match[1] : '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
+function findJob(id) {
+  for (const queue of [videoQueue, previewQueue]) {
+    const job = queue.get(id);
+    if (job) return { queue, job };
+  }
+  return null;
+}
+
+function jobStatus(queue, job) {
+  return {
+    jobId: job.id,
+    state: job.state,
+    progress: job.progress,
+    queuePosition: queue.position(job.id),
+    error: job.error,
+    stderrTail: job.stderrTail,
+    downloadUrl: job.result ? job.result.downloadUrl || null : null,
+    shareUrl: job.result ? job.result.shareUrl || null : null,
+    previewUrl: job.result ? job.result.previewUrl || null : null,
+    captionsUrl: job.result ? job.result.captionsUrl || null : null,
+    settings: job.result ? job.result.settings || null : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+// Forward an FFmpeg 'progress' callback to the job status and its event stream
+function reportFfmpegProgress(progress, update, notify) {
+  const percent = progress.percent ? Math.min(100, Math.max(0, Math.round(progress.percent * 10) / 10)) : null;
+  if (percent !== null) {
+    update({ progress: percent });
+  }
+  notify('progress', {
+    percent,
+    timemark: progress.timemark,
+    fps: progress.currentFps
+  });
+}
+
+// Last lines of FFmpeg stderr, enough to see why an encode failed
+function stderrTail(stderr, lineCount = 20) {
+  if (!stderr) return null;
+  return stderr.trim().split('\n').slice(-lineCount).join('\n');
+}
+
 // Set FFmpeg path (you may need to adjust this based on your system)
 // For Windows, you might need to install FFmpeg and set the path
 // ffmpeg.setFfmpegPath('C:\\ffmpeg\\bin\\ffmpeg.exe');
 
 // API Routes
 
-// Get available reciters
+// Get available reciters (lib/reciters.js is the single list used by every audio route).
+// `wordTimings` marks the reciters whose videos can highlight each word as it is recited.
 app.get('/api/reciters', (req, res) => {
-  const reciters = [
-    { id: 'abdul_basit', name: 'Abdul Basit Abdul Samad', language: 'Arabic' },
-    { id: 'alafasy', name: 'Mishary Rashid Alafasy', language: 'Arabic' },
-    { id: 'sudais', name: 'Abdur-Rahman As-Sudais', language: 'Arabic' },
-    { id: 'abdullah_basfar', name: 'Abdullah Basfar', language: 'Arabic' },
-    { id: 'abu_bakr_shatri', name: 'Abu Bakr Ash-Shaatree', language: 'Arabic' },
-    { id: 'ahmed_neana', name: 'Ahmed Neana', language: 'Arabic' },
-    { id: 'ahmed_ajamy', name: 'Ahmed ibn Ali al-Ajamy', language: 'Arabic' },
-    { id: 'akram_alaqimy', name: 'Akram AlAlaqimy', language: 'Arabic' },
-    { id: 'ali_hajjaj', name: 'Ali Hajjaj AlSuesy', language: 'Arabic' },
-    { id: 'hani_rifai', name: 'Hani Rifai', language: 'Arabic' },
-    { id: 'hudhaify', name: 'Ali Al-Hudhaify', language: 'Arabic' },
-    { id: 'khalid_qahtani', name: 'Khaalid Abdullaah al-Qahtaanee', language: 'Arabic' },
-    { id: 'minshawy', name: 'Muhammad Siddiq Al-Minshawi', language: 'Arabic' },
-    { id: 'tablaway', name: 'Mohammad al-Tablaway', language: 'Arabic' },
-    { id: 'muhsin_qasim', name: 'Muhsin Al Qasim', language: 'Arabic' },
-    { id: 'abdullaah_juhaynee', name: 'Abdullaah 3awwaad Al-Juhaynee', language: 'Arabic' },
-    { id: 'husary', name: 'Mahmoud Khalil Al-Husary', language: 'Arabic' },
-    { id: 'ghamadi', name: 'Saad Al-Ghamdi', language: 'Arabic' },
-    { id: 'shuraim', name: 'Saud Al-Shuraim', language: 'Arabic' }
-  ];
-  res.json(reciters);
+  res.json(reciters.listReciters().map(reciter => ({
+    ...reciter,
+    wordTimings: wordTimings.hasWordTimings(reciter.id)
+  })));
 });
 
 // Get available fonts
@@ -164,1342 +352,2691 @@ app.get('/api/fonts', (req, res) => {
   }
 });
 
-// Generate live preview video (short version for real-time preview)
-// FINAL PREVIEW CODE - Replace your entire /api/preview-video route with this
+// List available translations (bundled Sahih International + anything in translations/)
+app.get('/api/translations', (req, res) => {
+  res.json(translations.listTranslations());
+});
 
-// FINAL PREVIEW CODE - Replace your entire /api/preview-video route with this
+// Quran text API - read-only lookups on the in-memory index built by lib/quran.js
 
-app.post('/api/preview-video', async (req, res) => {
-  try {
-      console.log('Generating live preview...');
+// List all surahs with their metadata
+app.get('/api/surahs', (req, res) => {
+  res.json(quran.getSurahs());
+});
 
-      const {
-          surah, ayah, ayahTo, textColor, fontSize, fontFamily, orientation, backgroundFilename
-      } = req.body;
+// Get one surah's metadata
+app.get('/api/surahs/:number', (req, res) => {
+  const number = parseInt(req.params.number);
+  if (isNaN(number)) {
+    return res.status(400).json({ error: 'Invalid surah number' });
+  }
 
-      // --- 1. Validation and Setup ---
-      if (!surah || !ayah || !backgroundFilename) {
-          return res.status(400).json({ error: 'Missing required parameters' });
-      }
-      const surahNum = parseInt(surah);
-      const ayahNum = parseInt(ayah);
-      if (isNaN(surahNum) || isNaN(ayahNum)) {
-          return res.status(400).json({ error: 'Invalid surah or ayah numbers' });
-      }
+  const surah = quran.getSurah(number);
+  if (!surah) {
+    return res.status(404).json({ error: `Surah ${number} not found` });
+  }
 
-      const previewId = uuidv4();
-      const previewDuration = 3;
-      const videoWidth = orientation === 'portrait' ? 1080 : orientation === 'square' ? 1080 : 1920;
-      const videoHeight = orientation === 'portrait' ? 1920 : orientation === 'square' ? 1080 : 1080;
-      const maxTextWidth = Math.floor(videoWidth * 0.85);
-      const textColorValue = textColor || '#ffffff';
-      const baseFontSize = fontSize || Math.floor(videoHeight * 0.045);
+  res.json(surah);
+});
 
-      // Ensure temp directory exists
-      fs.ensureDirSync(path.join(__dirname, 'temp'));
+// Get a surah's ayahs (Arabic + translation), optionally limited with ?from=&to=
+app.get('/api/surahs/:number/ayahs', (req, res) => {
+  const number = parseInt(req.params.number);
+  const from = req.query.from ? parseInt(req.query.from) : 1;
+  const to = req.query.to ? parseInt(req.query.to) : undefined;
 
-      const fontMapping = {
-          'Al Mushaf': 'Al Majeed Quranic Font',
-          'Uthmanic Hafs': 'KFGQPC HAFS Uthmanic Script'
-      };
-      const selectedFont = fontMapping[fontFamily] || fontFamily;
+  if (isNaN(number) || isNaN(from) || (to !== undefined && isNaN(to))) {
+    return res.status(400).json({ error: 'Invalid surah or ayah numbers' });
+  }
 
-      // --- 2. Fetch and Prepare Text ---
-      const quranData = JSON.parse(fs.readFileSync('./quran-uthmani.json', 'utf8'));
-      const translationData = JSON.parse(fs.readFileSync('./en.sahih.json', 'utf8'));
+  const surah = quran.getSurah(number);
+  if (!surah) {
+    return res.status(404).json({ error: `Surah ${number} not found` });
+  }
+  if (from < 1 || from > surah.numberOfAyahs || (to !== undefined && to < from)) {
+    return res.status(400).json({ error: `Invalid ayah range for surah ${number} (1-${surah.numberOfAyahs})` });
+  }
 
-      const startVerse = parseInt(ayahNum);
-      const endVerse = ayahTo ? parseInt(ayahTo) : startVerse;
-      let arabicText = '';
-      let translationText = '';
+  res.json({
+    surah,
+    ayahs: quran.getSurahAyahs(number, from, to)
+  });
+});
 
-      for (let i = startVerse; i <= endVerse; i++) {
-          const verse = quranData.data.surahs[surahNum - 1].ayahs[i - 1];
-          const translation = translationData.data.surahs[surahNum - 1].ayahs[i - 1];
-          if (arabicText) arabicText += ' ';
-          if (translationText) translationText += ' ';
-          arabicText += verse.text;
-          translationText += translation.text;
-      }
-      arabicText = arabicText.normalize('NFC').replace(/ٱ/g, 'ا');
+// Get all ayahs in a juz, page, hizb-quarter, ruku or manzil
+app.get('/api/:division(juz|page|hizb-quarter|ruku|manzil)/:number', (req, res) => {
+  const { division } = req.params;
+  const number = parseInt(req.params.number);
+  if (isNaN(number)) {
+    return res.status(400).json({ error: `Invalid ${division} number` });
+  }
 
-      // --- 3. Calculate Text Wrapping and Required Heights ---
-      const arabicFontSize = baseFontSize;
-      const translationFontSize = Math.floor(baseFontSize * 0.7);
-      const tempCtx = createCanvas(1, 1).getContext('2d');
-      
-      tempCtx.font = `${arabicFontSize}px "${selectedFont}"`;
-      const arabicWords = arabicText.split(' ');
-      const arabicWrappedLines = [];
-      let currentArabicLine = '';
-      for (const word of arabicWords) {
-          const testLine = currentArabicLine ? `${currentArabicLine} ${word}` : word;
-          if (tempCtx.measureText(testLine).width > maxTextWidth && currentArabicLine) {
-              arabicWrappedLines.push(currentArabicLine);
-              currentArabicLine = word;
-          } else {
-              currentArabicLine = testLine;
-          }
-      }
-      arabicWrappedLines.push(currentArabicLine);
-      
-      tempCtx.font = `${translationFontSize}px "Arial"`;
-      const translationWords = translationText.split(' ');
-      const translationWrappedLines = [];
-      let currentTranslationLine = '';
-      for (const word of translationWords) {
-          const testLine = currentTranslationLine ? `${currentTranslationLine} ${word}` : word;
-          if (tempCtx.measureText(testLine).width > maxTextWidth && currentTranslationLine) {
-              translationWrappedLines.push(currentTranslationLine);
-              currentTranslationLine = word;
-          } else {
-              currentTranslationLine = testLine;
-          }
-      }
-      translationWrappedLines.push(currentTranslationLine);
-
-      const arabicBlockHeight = arabicFontSize * 1.3 * arabicWrappedLines.length;
-      const translationBlockHeight = translationFontSize * 1.3 * translationWrappedLines.length;
-
-      // --- 4. Create Dynamically-Sized Text Canvases ---
-      const tempArabicTextPath = path.join(__dirname, 'temp', `${previewId}_arabic.png`);
-      const arabicCanvas = createCanvas(videoWidth, arabicBlockHeight);
-      const arabicCtx = arabicCanvas.getContext('2d');
-      arabicCtx.font = `${arabicFontSize}px "${selectedFont}"`;
-      arabicCtx.fillStyle = textColorValue;
-      arabicCtx.textAlign = 'center';
-      arabicCtx.textBaseline = 'middle';
-      arabicWrappedLines.forEach((line, index) => {
-          const y = (index * arabicFontSize * 1.3) + (arabicFontSize * 1.3 / 2);
-          arabicCtx.fillText(line, videoWidth / 2, y);
-      });
-      console.log('💾 Saving Arabic text image...');
-      fs.writeFileSync(tempArabicTextPath, arabicCanvas.toBuffer('image/png'));
-      console.log('✅ Arabic text image saved');
-
-      const tempTranslationTextPath = path.join(__dirname, 'temp', `${previewId}_translation.png`);
-      const translationCanvas = createCanvas(videoWidth, translationBlockHeight);
-      const translationCtx = translationCanvas.getContext('2d');
-      translationCtx.font = `${translationFontSize}px "Arial"`;
-      translationCtx.fillStyle = textColorValue;
-      translationCtx.textAlign = 'center';
-      translationCtx.textBaseline = 'middle';
-      translationWrappedLines.forEach((line, index) => {
-          const y = (index * translationFontSize * 1.3) + (translationFontSize * 1.3 / 2);
-          translationCtx.fillText(line, videoWidth / 2, y);
-      });
-      console.log('💾 Saving translation text image...');
-      fs.writeFileSync(tempTranslationTextPath, translationCanvas.toBuffer('image/png'));
-      console.log('✅ Translation text image saved');
-      
-      // --- 5. Calculate Final Positions & Create Overlays ---
-      const textGap = Math.floor(videoHeight * 0.03);
-      const totalContentHeight = arabicBlockHeight + textGap + translationBlockHeight;
-      
-      const arabicTopPosition = (videoHeight - totalContentHeight) / 2;
-      const translationTopPosition = arabicTopPosition + arabicBlockHeight + textGap;
-
-      const overlayPadding = Math.floor(videoHeight * 0.05);
-      const overlayX = (videoWidth * 0.05);
-      const overlayY = arabicTopPosition - overlayPadding;
-      const overlayWidth = videoWidth * 0.9;
-      const overlayHeight = totalContentHeight + (overlayPadding * 2);
-      
-      const unifiedOverlayCanvas = createCanvas(videoWidth, videoHeight);
-      const unifiedOverlayCtx = unifiedOverlayCanvas.getContext('2d');
-      unifiedOverlayCtx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-      unifiedOverlayCtx.beginPath();
-      unifiedOverlayCtx.roundRect(overlayX, overlayY, overlayWidth, overlayHeight, 25);
-      unifiedOverlayCtx.fill();
-      const tempUnifiedOverlayPath = path.join(__dirname, 'temp', `${previewId}_overlay.png`);
-      console.log('💾 Saving unified overlay image...');
-      fs.writeFileSync(tempUnifiedOverlayPath, unifiedOverlayCanvas.toBuffer('image/png'));
-      console.log('✅ Unified overlay image saved');
-      
-      // --- 5a. Create Modern Watermark (RESTORED) ---
-      const watermarkCanvas = createCanvas(videoWidth, videoHeight);
-      const watermarkCtx = watermarkCanvas.getContext('2d');
-      const tempWatermarkPath = path.join(__dirname, 'temp', `${previewId}_watermark.png`);
-
-      const brandText = 'Made on SakinahTime.com';
-      const watermarkPadding = Math.floor(videoWidth * 0.03);
-      const brandFontSize = Math.max(18, Math.floor(videoWidth * 0.015));
-      const infoFontSize = Math.max(22, Math.floor(videoWidth * 0.02));
-
-      const surahName = quranData.data.surahs[surahNum - 1].englishName;
-      const surahWithVerse = endVerse > startVerse ?
-          `${surahName}, Verses ${startVerse}-${endVerse}` :
-          `${surahName}, Verse ${startVerse}`;
-
-      watermarkCtx.font = `600 ${brandFontSize}px "Inter", "Lato", sans-serif`;
-      watermarkCtx.fillStyle = 'rgba(255, 255, 255, 0.85)';
-      watermarkCtx.textAlign = 'right';
-      watermarkCtx.textBaseline = 'bottom';
-      watermarkCtx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-      watermarkCtx.shadowBlur = 8;
-      watermarkCtx.shadowOffsetY = 2;
-      watermarkCtx.shadowOffsetX = 0;
-      watermarkCtx.fillText(brandText, videoWidth - watermarkPadding, videoHeight - watermarkPadding);
-
-      watermarkCtx.shadowColor = 'rgba(0, 0, 0, 0.4)';
-      watermarkCtx.shadowBlur = 6;
-      watermarkCtx.font = `400 ${infoFontSize}px "Inter", "Lato", sans-serif`;
-      watermarkCtx.textAlign = 'left';
-      watermarkCtx.textBaseline = 'top';
-      watermarkCtx.fillText(surahWithVerse, watermarkPadding, watermarkPadding);
-
-      console.log('💾 Saving watermark image...');
-      fs.writeFileSync(tempWatermarkPath, watermarkCanvas.toBuffer('image/png'));
-      console.log('✅ Watermark image saved');
-
-      // --- 6. Prepare Background and Generate Video with FFmpeg ---
-      const backgroundPath = path.join(__dirname, 'videos', backgroundFilename);
-      
-      // Validate background file exists
-      if (!fs.existsSync(backgroundPath)) {
-          throw new Error(`Background video not found: ${backgroundPath}`);
-      }
+  const ayahs = quran.getDivision(division, number);
+  if (!ayahs) {
+    return res.status(404).json({ error: `${division} ${number} not found (1-${quran.getDivisionCount(division)})` });
+  }
 
-      const command = ffmpeg()
-          .input(backgroundPath)
-          .inputOptions(['-stream_loop', '-1', '-t', previewDuration.toString()])
-          .input(tempUnifiedOverlayPath)
-          .input(tempArabicTextPath)
-          .input(tempTranslationTextPath)
-          .input(tempWatermarkPath)
-          .complexFilter([
-              `[0:v]scale=${videoWidth}:${videoHeight}[bg]`,
-              `[bg][1:v]overlay=0:0[bg_overlay]`,
-              `[bg_overlay][2:v]overlay=(W-w)/2:${arabicTopPosition}[with_arabic]`,
-              `[with_arabic][3:v]overlay=(W-w)/2:${translationTopPosition}[with_translation]`,
-              `[with_translation][4:v]overlay=0:0[final]`
-          ])
-          .outputOptions(['-map', '[final]', '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p', '-an'])
-          .output(path.join(__dirname, 'previews', `${previewId}.mp4`));
-
-      // Ensure previews directory exists
-      fs.ensureDirSync(path.join(__dirname, 'previews'));
-
-      console.log('🎬 Starting FFmpeg preview generation...');
-      console.log('FFmpeg command inputs:');
-      console.log('- Background:', backgroundPath);
-      console.log('- Arabic text:', tempArabicTextPath);
-      console.log('- Translation text:', tempTranslationTextPath);
-      console.log('- Overlay:', tempUnifiedOverlayPath);
-      console.log('- Watermark:', tempWatermarkPath);
-      console.log('- Output:', path.join(__dirname, 'previews', `${previewId}.mp4`));
-
-      await new Promise((resolve, reject) => {
-          const timeout = setTimeout(() => {
-              console.error('⏰ FFmpeg timeout after 30 seconds');
-              reject(new Error('FFmpeg timeout after 30 seconds'));
-          }, 30000); // 30 second timeout
-
-          command
-              .on('start', (commandLine) => {
-                  console.log('🚀 FFmpeg started with command:', commandLine);
-              })
-              .on('progress', (progress) => {
-                  console.log('📊 FFmpeg progress:', progress.percent ? `${progress.percent.toFixed(1)}%` : 'processing...');
-              })
-              .on('end', () => {
-                  clearTimeout(timeout);
-                  console.log('✅ FFmpeg preview generation completed successfully');
-                  resolve();
-              })
-              .on('error', (err) => {
-                  clearTimeout(timeout);
-                  console.error('❌ FFmpeg error:', err);
-                  reject(err);
-              })
-              .run();
-      });
+  res.json({
+    division,
+    number,
+    ayahs
+  });
+});
 
-      // --- 7. Cleanup and Respond ---
-      fs.unlinkSync(tempArabicTextPath);
-      fs.unlinkSync(tempTranslationTextPath);
-      fs.unlinkSync(tempUnifiedOverlayPath);
-      fs.unlinkSync(tempWatermarkPath);
+// Get all ayahs with a prostration (sajda)
+app.get('/api/sajda', (req, res) => {
+  res.json(quran.getSajdaAyahs());
+});
 
-      res.json({
-          success: true,
-          previewUrl: `${req.protocol}://${req.get('host')}/api/previews/${previewId}.mp4`
-      });
+// Full-text search over the Arabic text (lang=ar) or the translation (lang=en)
+app.get('/api/search', (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Missing search query' });
+    }
 
+    const lang = req.query.lang || (hasArabic(query) ? 'ar' : 'en');
+    if (!['ar', 'en'].includes(lang)) {
+      return res.status(400).json({ error: 'Invalid lang, expected ar or en' });
+    }
+
+    const page = req.query.page ? parseInt(req.query.page) : 1;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    if (isNaN(page) || page < 1 || isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Invalid page or limit (limit 1-100)' });
+    }
+
+    const { total, results } = search(query, { lang, page, limit });
+
+    res.json({
+      query,
+      lang,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      results
+    });
   } catch (error) {
-      console.error('Preview generation error:', error);
-      res.status(500).json({ error: 'Failed to generate preview' });
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Failed to search' });
   }
 });
-// Get available video backgrounds only
-app.get('/api/backgrounds', (req, res) => {
-  const videoDir = path.join(__dirname, 'videos');
-  let backgrounds = [];
 
-  // Only videos
-  if (fs.existsSync(videoDir)) {
-    const videoFiles = fs.readdirSync(videoDir).filter(f => f.match(/\.(mp4|webm|mov|avi)$/i));
-    backgrounds = videoFiles.map(f => ({
-      type: 'video',
-      filename: f,
-      displayName: f.replace(/\.[^.]+$/, '').replace(/_/g, ' '),
-      thumbnailUrl: `/api/thumbnail/${f}`
-    }));
+// Prayer times - calculated locally by lib/prayerTimes.js, no external API
+
+// Read the location and calculation settings shared by the prayer time endpoints.
+// Returns { options } or { error } with a message for a 400 response.
+function parsePrayerTimesQuery(query) {
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+    return { error: 'Invalid or missing lat/lng (lat -90..90, lng -180..180)' };
   }
 
-  res.json(backgrounds);
-});
+  const method = query.method || 'MWL';
+  if (!prayerTimes.METHODS[method]) {
+    return { error: `Unknown method, expected one of: ${Object.keys(prayerTimes.METHODS).join(', ')}` };
+  }
 
-// Generate and serve video thumbnails
-app.get('/api/thumbnail/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const videoPath = path.join(__dirname, 'videos', filename);
-  const thumbnailsDir = path.join(__dirname, 'thumbnails');
-  const thumbnailPath = path.join(thumbnailsDir, `${filename}.jpg`);
-
-  // Ensure thumbnails directory exists
-  fs.ensureDirSync(thumbnailsDir);
-
-  // Check if thumbnail already exists
-  if (fs.existsSync(thumbnailPath)) {
-    res.sendFile(thumbnailPath);
-    return;
-  }
-
-  // Check if video exists
-  if (!fs.existsSync(videoPath)) {
-    res.status(404).send('Video not found');
-    return;
-  }
-
-  // Generate thumbnail using FFmpeg
-  ffmpeg(videoPath)
-    .screenshots({
-      timestamps: ['2'], // Take screenshot at 2 seconds
-      filename: `${filename}.jpg`,
-      folder: thumbnailsDir,
-      size: '320x180' // 16:9 aspect ratio thumbnail
-    })
-    .on('end', () => {
-      console.log('Thumbnail generated:', thumbnailPath);
-      res.sendFile(thumbnailPath);
-    })
-    .on('error', (err) => {
-      console.error('Error generating thumbnail:', err);
-      res.status(500).send('Error generating thumbnail');
-    });
-});
+  const madhab = (query.madhab || 'shafi').toLowerCase();
+  if (!prayerTimes.MADHABS[madhab]) {
+    return { error: `Unknown madhab, expected one of: ${Object.keys(prayerTimes.MADHABS).join(', ')}` };
+  }
 
-// Serve preview videos
-app.get('/api/previews/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const previewPath = path.join(__dirname, 'previews', filename);
-  
-  console.log(`📹 Preview video requested: ${filename}`);
-  console.log(`📁 Looking for file at: ${previewPath}`);
-  console.log(`📋 File exists: ${fs.existsSync(previewPath)}`);
-  
-  if (fs.existsSync(previewPath)) {
-    // Set proper headers for video serving
-    res.set({
-      'Content-Type': 'video/mp4',
-      'Accept-Ranges': 'bytes',
-      'Cache-Control': 'no-cache'
-    });
-    res.sendFile(previewPath);
-  } else {
-    console.log(`❌ Preview not found: ${previewPath}`);
-    res.status(404).send('Preview not found');
+  const highLatitudeRule = query.highLatitudeRule || 'NightMiddle';
+  if (!prayerTimes.HIGH_LATITUDE_RULES.includes(highLatitudeRule)) {
+    return { error: `Unknown highLatitudeRule, expected one of: ${prayerTimes.HIGH_LATITUDE_RULES.join(', ')}` };
+  }
+
+  const elevation = query.elevation ? parseFloat(query.elevation) : 0;
+  if (isNaN(elevation) || elevation < 0) {
+    return { error: 'Invalid elevation' };
+  }
+
+  // tz is an IANA zone (DST-aware) or a fixed UTC offset in hours.
+  // Without it the offset is estimated from the longitude.
+  let timezone = Math.round(lng / 15);
+  let timezoneEstimated = true;
+  if (query.tz) {
+    timezoneEstimated = false;
+    if (/^[+-]?\d+(\.\d+)?$/.test(query.tz)) {
+      timezone = parseFloat(query.tz);
+      if (timezone < -12 || timezone > 14) {
+        return { error: 'Invalid tz offset (-12..14)' };
+      }
+    } else if (prayerTimes.isValidTimezone(query.tz)) {
+      timezone = query.tz;
+    } else {
+      return { error: `Unknown time zone: ${query.tz}` };
+    }
+  }
+
+  // adjustments=fajr:2,isha:-3 shifts individual times by whole minutes
+  const adjustments = {};
+  if (query.adjustments) {
+    for (const entry of String(query.adjustments).split(',')) {
+      const [prayer, minutes] = entry.split(':').map(part => part.trim());
+      if (!prayerTimes.PRAYERS.includes(prayer) || !/^[+-]?\d+$/.test(minutes || '')) {
+        return { error: `Invalid adjustment "${entry}", expected prayer:minutes (${prayerTimes.PRAYERS.join(', ')})` };
+      }
+      adjustments[prayer] = parseInt(minutes);
+    }
   }
+
+  return {
+    options: { lat, lng, elevation, method, madhab, highLatitudeRule, timezone, adjustments },
+    timezoneEstimated
+  };
+}
+
+function prayerTimesSettings(options, timezoneEstimated) {
+  return {
+    location: { lat: options.lat, lng: options.lng, elevation: options.elevation },
+    method: { id: options.method, ...prayerTimes.METHODS[options.method] },
+    madhab: options.madhab,
+    highLatitudeRule: options.highLatitudeRule,
+    timezone: options.timezone,
+    timezoneEstimated,
+    adjustments: options.adjustments
+  };
+}
+
+// List the supported calculation methods and options
+app.get('/api/prayer-times/methods', (req, res) => {
+  res.json({
+    methods: Object.entries(prayerTimes.METHODS).map(([id, method]) => ({ id, ...method })),
+    madhabs: Object.keys(prayerTimes.MADHABS),
+    highLatitudeRules: prayerTimes.HIGH_LATITUDE_RULES
+  });
 });
 
-// Get verse audio range
-app.get('/api/verse-audio-range/:surah/:ayahFrom/:ayahTo/:reciter', async (req, res) => {
+// Prayer times for one day: ?lat=&lng=&date=YYYY-MM-DD (default today)
+app.get('/api/prayer-times', (req, res) => {
   try {
-    const { surah, ayahFrom, ayahTo, reciter } = req.params;
-    
-    const reciterMap = {
-      'alafasy': 'Alafasy',
-      'abdulbasit': 'AbdulBasit_AbdulSamad',
-      'saad': 'Saad_Al_Ghamidi',
-      'maher': 'Maher_Al_Muaiqly',
-      'hudhaify': 'Hudhaify',
-      'minshawi': 'Minshawi',
-      'sudais': 'Sudais'
-    };
+    const { options, timezoneEstimated, error } = parsePrayerTimesQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    const reciterName = reciterMap[reciter] || 'Alafasy';
-    const audioFiles = [];
-    
-    // Collect audio files for the range
-    for (let ayah = parseInt(ayahFrom); ayah <= parseInt(ayahTo); ayah++) {
-      const paddedSurah = surah.toString().padStart(3, '0');
-      const paddedAyah = ayah.toString().padStart(3, '0');
-      const audioUrl = `https://everyayah.com/data/${reciterName}/${paddedSurah}${paddedAyah}.mp3`;
-      audioFiles.push(audioUrl);
+    let year, month, day;
+    if (req.query.date) {
+      const match = String(req.query.date).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+      if (!date || date.getUTCMonth() !== +match[2] - 1) {
+        return res.status(400).json({ error: 'Invalid date, expected YYYY-MM-DD' });
+      }
+      [year, month, day] = [+match[1], +match[2], +match[3]];
+    } else {
+      const now = new Date();
+      [year, month, day] = [now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate()];
     }
-    
-    res.json({ 
-      audioUrls: audioFiles,
-      reciter: reciterName,
-      verses: `${ayahFrom}-${ayahTo}`
+
+    res.json({
+      ...prayerTimesSettings(options, timezoneEstimated),
+      ...prayerTimes.getPrayerTimes(year, month, day, options)
     });
   } catch (error) {
-    console.error('Error getting verse audio range:', error);
-    res.status(500).json({ error: 'Failed to get verse audio range' });
+    console.error('Error calculating prayer times:', error);
+    res.status(500).json({ error: 'Failed to calculate prayer times' });
   }
 });
 
-// Get verse audio
-app.get('/api/verse-audio/:surah/:ayah/:reciter', async (req, res) => {
+// Prayer times for a whole month: ?lat=&lng=&year=&month= (default this month)
+app.get('/api/prayer-times/calendar', (req, res) => {
   try {
-    const { surah, ayah, reciter } = req.params;
-    
-    // Construct audio URL based on reciter
-    let audioUrl;
-    const surahStr = surah.toString().padStart(3, '0');
-    const ayahStr = ayah.toString().padStart(3, '0');
-    
-    switch (reciter) {
-      case 'Abdul_Basit_Murattal_192kbps':
-        audioUrl = `https://everyayah.com/data/Abdul_Basit_Murattal_192kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Abdullaah_3awwaad_Al-Juhaynee_128kbps':
-        audioUrl = `https://everyayah.com/data/Abdullaah_3awwaad_Al-Juhaynee_128kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Abdullah_Basfar_192kbps':
-        audioUrl = `https://everyayah.com/data/Abdullah_Basfar_192kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Abdurrahmaan_As-Sudais_192kbps':
-        audioUrl = `https://everyayah.com/data/Abdurrahmaan_As-Sudais_192kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Abu_Bakr_Ash-Shaatree_128kbps':
-        audioUrl = `https://everyayah.com/data/Abu_Bakr_Ash-Shaatree_128kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Ahmed_Neana_128kbps':
-        audioUrl = `https://everyayah.com/data/Ahmed_Neana_128kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Ahmed_ibn_Ali_al-Ajamy_128kbps_ketaballah.net':
-        audioUrl = `https://everyayah.com/data/Ahmed_ibn_Ali_al-Ajamy_128kbps_ketaballah.net/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Akram_AlAlaqimy_128kbps':
-        audioUrl = `https://everyayah.com/data/Akram_AlAlaqimy_128kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Ali_Hajjaj_AlSuesy_128kbps':
-        audioUrl = `https://everyayah.com/data/Ali_Hajjaj_AlSuesy_128kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Hani_Rifai_192kbps':
-        audioUrl = `https://everyayah.com/data/Hani_Rifai_192kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Hudhaify_128kbps':
-        audioUrl = `https://everyayah.com/data/Hudhaify_128kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Khaalid_Abdullaah_al-Qahtaanee_192kbps':
-        audioUrl = `https://everyayah.com/data/Khaalid_Abdullaah_al-Qahtaanee_192kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Minshawy_Murattal_128kbps':
-        audioUrl = `https://everyayah.com/data/Minshawy_Murattal_128kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Mohammad_al_Tablaway_128kbps':
-        audioUrl = `https://everyayah.com/data/Mohammad_al_Tablaway_128kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      case 'Muhsin_Al_Qasim_192kbps':
-        audioUrl = `https://everyayah.com/data/Muhsin_Al_Qasim_192kbps/${surahStr}${ayahStr}.mp3`;
-        break;
-      default:
-        audioUrl = `https://everyayah.com/data/Abdul_Basit_Murattal_192kbps/${surahStr}${ayahStr}.mp3`;
+    const { options, timezoneEstimated, error } = parsePrayerTimesQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    
-    res.json({ audioUrl });
+
+    const now = new Date();
+    const year = req.query.year ? parseInt(req.query.year) : now.getUTCFullYear();
+    const month = req.query.month ? parseInt(req.query.month) : now.getUTCMonth() + 1;
+    if (isNaN(year) || year < 1 || year > 9999 || isNaN(month) || month < 1 || month > 12) {
+      return res.status(400).json({ error: 'Invalid year or month' });
+    }
+
+    res.json({
+      ...prayerTimesSettings(options, timezoneEstimated),
+      year,
+      month,
+      days: prayerTimes.getMonthlyPrayerTimes(year, month, options)
+    });
   } catch (error) {
-    console.error('Error getting verse audio:', error);
-    res.status(500).json({ error: 'Failed to get verse audio' });
+    console.error('Error calculating prayer calendar:', error);
+    res.status(500).json({ error: 'Failed to calculate prayer times' });
   }
 });
 
-// Generate video
-app.post('/api/generate-video', upload.single('background'), async (req, res) => {
-  try {
-    console.log('Request body:', req.body);
-    const {
-      surah,
-      ayah,
-      ayahTo,
-      reciter,
-      backgroundType,
-      backgroundFilename,
-      backgroundId, // fallback for old clients
-      customBackground,
-      textColor,
-      fontSize,
-      fontFamily,
-      orientation,
-      duration,
-      quality
-    } = req.body;
-    
-    console.log('Extracted values:');
-    console.log('reciter:', reciter);
-    console.log('backgroundType:', backgroundType);
-    console.log('backgroundFilename:', backgroundFilename);
-    console.log('backgroundId:', backgroundId);
-    console.log('orientation:', orientation);
-    console.log('fontFamily:', fontFamily);
-    console.log('fontSize:', fontSize);
-    console.log('textColor:', textColor);
-
-    const videoId = uuidv4();
-    const outputPath = path.join(__dirname, 'generated', `${videoId}.mp4`);
-    // Audio path will be set after processing verse range
-    const tempImagePath = path.join(__dirname, 'temp', `${videoId}_background.jpg`);
+// Qibla bearing (degrees from true north) and distance to the Kaaba.
+// Pass ?declination= (degrees, east positive) to also get the compass bearing.
+app.get('/api/qibla', (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+  if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+    return res.status(400).json({ error: 'Invalid or missing lat/lng (lat -90..90, lng -180..180)' });
+  }
 
-    // Get verse text and translation - handle verse ranges
-    const quranData = JSON.parse(fs.readFileSync('quran-uthmani.json', 'utf8'));
-    
-    const startVerse = parseInt(ayah);
-    const endVerse = ayahTo ? parseInt(ayahTo) : startVerse;
-    
-    // Store individual verses for sequential display
-    const verses = [];
-    
-    for (let i = startVerse; i <= endVerse; i++) {
-      const verse = quranData.data.surahs[surah - 1].ayahs[i - 1];
-      if (!verse) {
-        return res.status(404).json({ error: `Verse ${i} not found` });
-      }
-      verses.push({ number: i, text: verse.text });
-    }
-    
-    console.log(`📖 Verse range ${startVerse}-${endVerse} loaded: ${verses.length} verses`);
-    
-    // For sequential display, we'll create individual text overlays for each verse
-    // But first, let's process each verse's text individually
-    for (let i = 0; i < verses.length; i++) {
-      let verseText = verses[i].text;
-      
-      // Apply enhanced Unicode normalization to each verse
-      verseText = verseText.normalize('NFC');
-      
-      // Enhanced character replacements for better rendering
-      verseText = verseText
-        .replace(/ٱلْءَاخِرَةِ/g, 'الْآخِرَةِ') // Fix for "الآخرة"
-        .replace(/وَبِٱلْءَاخِرَةِ/g, 'وَبِالْآخِرَةِ') // Fix for "وبالآخرة"
-        .replace(/بِٱلْءَاخِرَةِ/g, 'بِالْآخِرَةِ') // Fix for "بالآخرة"
-        .replace(/ءَا/g, 'آ') // Hamza followed by Alif -> Alif Madda
-        .replace(/ءُا/g, 'ؤا') // Hamza with damma followed by Alif
-        .replace(/ءِا/g, 'ئا') // Hamza with kasra followed by Alif
-        .replace(/\u0621\u0627/g, '\u0623') // Standalone Hamza + Alif -> Hamza on Alif
-        .replace(/\u0621\u064E\u0627/g, '\u0623') // Hamza + Fatha + Alif -> Hamza on Alif
-        .replace(/\u0621[\u064E\u064F\u0650\u0652]*\u0627/g, '\u0623') // Hamza + any diacritics + Alif -> Hamza on Alif
-        .replace(/\u0621[\u064E\u064F\u0650\u0652]*\u0625/g, '\u0625') // Hamza + diacritics + Hamza-under-Alif
-        .replace(/\u0621[\u064E\u064F\u0650\u0652]*\u0622/g, '\u0622') // Hamza + diacritics + Alif-Madda
-        .replace(/ٱلْءَ/g, 'الْآ'); // General fix for hamza-alif in definite articles
-      
-      verses[i].processedText = verseText;
-    }
-    
-    // Load translations for all verses
-    const translationData = JSON.parse(fs.readFileSync('en.sahih.json', 'utf8'));
-    
-    for (let i = 0; i < verses.length; i++) {
-      const verseNumber = verses[i].number;
-      const translation = translationData.data.surahs[surah - 1].ayahs[verseNumber - 1];
-      if (!translation) {
-        return res.status(404).json({ error: `Translation for verse ${verseNumber} not found` });
-      }
-      verses[i].translation = translation.text;
-    }
-    
-    console.log(`🎬 Creating sequential video for ${verses.length} verses with individual timing`);
-    
-    // Audio download will happen first, then we'll create verse timings and overlays
-    
-    // Download audio - handle verse ranges
-    const audioFiles = [];
-    for (let i = startVerse; i <= endVerse; i++) {
-      const surahStr = surah.toString().padStart(3, '0');
-      const ayahStr = i.toString().padStart(3, '0');
-      audioFiles.push({ verse: i, surahStr, ayahStr });
+  let declination;
+  if (req.query.declination !== undefined && req.query.declination !== '') {
+    declination = parseFloat(req.query.declination);
+    if (isNaN(declination) || declination < -180 || declination > 180) {
+      return res.status(400).json({ error: 'Invalid declination (-180..180, east positive)' });
     }
-    
-    console.log(`Downloading ${audioFiles.length} audio file(s) for verses ${startVerse}-${endVerse}`);
-    
-    // Map frontend reciter names to API directory names
-    let reciterDirectory;
-    switch (reciter) {
-      case 'abdul_basit':
-        reciterDirectory = 'Abdul_Basit_Murattal_192kbps';
-        break;
-      case 'alafasy':
-        reciterDirectory = 'Alafasy_128kbps';
-        break;
-      case 'sudais':
-        reciterDirectory = 'Abdurrahmaan_As-Sudais_192kbps';
-        break;
-      case 'abdullah_basfar':
-        reciterDirectory = 'Abdullah_Basfar_192kbps';
-        break;
-      case 'abu_bakr_shatri':
-        reciterDirectory = 'Abu_Bakr_Ash-Shaatree_128kbps';
-        break;
-      case 'ahmed_neana':
-        reciterDirectory = 'Ahmed_Neana_128kbps';
-        break;
-      case 'ahmed_ajamy':
-        reciterDirectory = 'Ahmed_ibn_Ali_al-Ajamy_128kbps_ketaballah.net';
-        break;
-      case 'akram_alaqimy':
-        reciterDirectory = 'Akram_AlAlaqimy_128kbps';
-        break;
-      case 'ali_hajjaj':
-        reciterDirectory = 'Ali_Hajjaj_AlSuesy_128kbps';
-        break;
-      case 'hani_rifai':
-        reciterDirectory = 'Hani_Rifai_192kbps';
-        break;
-      case 'hudhaify':
-        reciterDirectory = 'Hudhaify_128kbps';
-        break;
-      case 'khalid_qahtani':
-        reciterDirectory = 'Khaalid_Abdullaah_al-Qahtaanee_192kbps';
-        break;
-      case 'minshawy':
-        reciterDirectory = 'Minshawy_Murattal_128kbps';
-        break;
-      case 'tablaway':
-        reciterDirectory = 'Mohammad_al_Tablaway_128kbps';
-        break;
-      case 'muhsin_qasim':
-        reciterDirectory = 'Muhsin_Al_Qasim_192kbps';
-        break;
-      case 'abdullaah_juhaynee':
-        reciterDirectory = 'Abdullaah_3awwaad_Al-Juhaynee_128kbps';
-        break;
-      case 'husary':
-        reciterDirectory = 'Husary_128kbps';
-        break;
-      case 'ghamadi':
-        reciterDirectory = 'Ghamadi_40kbps';
-        break;
-      case 'shuraim':
-        reciterDirectory = 'Saood_ash-Shuraym_128kbps';
-        break;
-      default:
-        reciterDirectory = 'Abdul_Basit_Murattal_192kbps';
+  }
+
+  res.json({
+    location: { lat, lng },
+    ...getQibla(lat, lng, declination)
+  });
+});
+
+// Hijri calendar - ?calendar=umalqura|tabular and ?offset=-3..3 days for local moon sighting.
+// Returns { options } or { error } with a message for a 400 response.
+function parseHijriOptions(query) {
+  const calendar = query.calendar || 'umalqura';
+  if (!hijri.CALENDARS.includes(calendar)) {
+    return { error: `Unknown calendar, expected one of: ${hijri.CALENDARS.join(', ')}` };
+  }
+
+  const offset = query.offset ? parseInt(query.offset) : 0;
+  if (isNaN(offset) || offset < -3 || offset > 3) {
+    return { error: 'Invalid offset (-3..3 days)' };
+  }
+
+  return { options: { calendar, offset } };
+}
+
+// Parse a YYYY-MM-DD date into numbers (no range checks)
+function parseDateParts(value) {
+  const match = String(value).match(/^(\d{1,4})-(\d{1,2})-(\d{1,2})$/);
+  return match ? match.slice(1).map(Number) : null;
+}
+
+// Gregorian -> Hijri: ?date=YYYY-MM-DD (default today)
+app.get('/api/hijri', (req, res) => {
+  const { options, error } = parseHijriOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let year, month, day;
+  if (req.query.date) {
+    const parts = parseDateParts(req.query.date);
+    const date = parts && new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+    if (!date || date.getUTCMonth() !== parts[1] - 1 || parts[0] < 1900 || parts[0] > 2200) {
+      return res.status(400).json({ error: 'Invalid date, expected YYYY-MM-DD between 1900 and 2200' });
     }
-    
-    // Download audio for all verses in range and get their durations
-    const audioSegments = [];
-    const surahStr = surah.toString().padStart(3, '0');
-    
-    for (const verse of verses) {
-      const verseAyahStr = verse.number.toString().padStart(3, '0');
-      const verseAudioUrl = `https://everyayah.com/data/${reciterDirectory}/${surahStr}${verseAyahStr}.mp3`;
-      const tempVerseAudioPath = path.join(__dirname, 'temp', `${videoId}_audio_${verse.number}.mp3`);
-      
-      console.log(`Downloading audio for verse ${verse.number} from:`, verseAudioUrl);
-      
-      try {
-        const audioResponse = await axios({
-          method: 'GET',
-          url: verseAudioUrl,
-          responseType: 'stream',
-          timeout: 30000 // 30 second timeout
-        });
-        
-        const audioWriter = fs.createWriteStream(tempVerseAudioPath);
-        audioResponse.data.pipe(audioWriter);
-
-        await new Promise((resolve, reject) => {
-          audioWriter.on('finish', () => {
-            console.log(`Audio downloaded successfully for verse ${verse.number}:`, tempVerseAudioPath);
-            resolve();
-          });
-          audioWriter.on('error', (error) => {
-            console.error('Error writing audio file:', error);
-            reject(error);
-          });
-        });
-        
-        // Get audio duration for this verse
-        const duration = await new Promise((resolve, reject) => {
+    [year, month, day] = parts;
+  } else {
+    const now = new Date();
+    [year, month, day] = [now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate()];
+  }
+
+  res.json({
+    gregorian: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    hijri: hijri.toHijri(year, month, day, options),
+    ...options
+  });
+});
+
+// Hijri -> Gregorian: ?hijriDate=YYYY-MM-DD (e.g. 1446-09-01)
+app.get('/api/gregorian', (req, res) => {
+  const { options, error } = parseHijriOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const parts = req.query.hijriDate && parseDateParts(req.query.hijriDate);
+  if (!parts || parts[0] < 1318 || parts[0] > 1622) {
+    return res.status(400).json({ error: 'Invalid or missing hijriDate, expected YYYY-MM-DD between 1318 and 1622 AH' });
+  }
+
+  const gregorian = hijri.toGregorian(parts[0], parts[1], parts[2], options);
+  if (!gregorian) {
+    return res.status(400).json({ error: `${req.query.hijriDate} is not a valid ${options.calendar} date` });
+  }
+
+  res.json({
+    hijri: hijri.toHijri(gregorian.year, gregorian.month, gregorian.day, options),
+    gregorian: gregorian.date,
+    weekday: gregorian.weekday,
+    ...options
+  });
+});
+
+// Ramadan, the Eids, Day of Arafah, Ashura and the white days of a Hijri year (default current)
+app.get('/api/hijri/events', (req, res) => {
+  const { options, error } = parseHijriOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const now = new Date();
+  const year = req.query.year
+    ? parseInt(req.query.year)
+    : hijri.toHijri(now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate(), options).year;
+  if (isNaN(year) || year < 1318 || year > 1621) {
+    return res.status(400).json({ error: 'Invalid year (1318-1621 AH)' });
+  }
+
+  res.json({
+    year,
+    ...options,
+    events: hijri.getEvents(year, options)
+  });
+});
+
+// Adhkar catalogue - bundled dataset in adhkar.json, versioned so clients can cache it
+app.get('/api/adhkar/categories', (req, res) => {
+  res.json({
+    ...adhkar.getVersion(),
+    categories: adhkar.listCategories()
+  });
+});
+
+app.get('/api/adhkar/:category', (req, res) => {
+  const category = adhkar.getCategory(req.params.category);
+  if (!category) {
+    return res.status(404).json({ error: `Adhkar category ${req.params.category} not found` });
+  }
+
+  res.json({
+    ...adhkar.getVersion(),
+    ...category
+  });
+});
+
+// Overlay themes for the `theme` parameter of /api/preview-video and /api/generate-video
+app.get('/api/themes', (req, res) => {
+  res.json({
+    ...themes.getVersion(),
+    default: themes.DEFAULT_THEME,
+    themes: themes.listThemes()
+  });
+});
+
+// Theme of a render request: `theme` names one from themes.json, `themeOverrides` (an
+// object, or JSON text in a multipart form) replaces single fields of it
+function parseThemeRequest(body) {
+  let overrides = body.themeOverrides || {};
+  if (typeof overrides === 'string') {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch (error) {
+      return { error: 'themeOverrides must be a JSON object' };
+    }
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { error: 'themeOverrides must be a JSON object' };
+  }
+  return themes.resolveTheme(body.theme, overrides);
+}
+
+// Overlay options shared by the preview and video routes: the theme, the Hijri date in the
+// watermark and pagination of long verses. Returns { options } or { error } for a 400 response.
+function parseOverlayOptions(body) {
+  const { theme, error: themeError } = parseThemeRequest(body);
+  if (themeError) {
+    return { error: themeError };
+  }
+
+  // Optional Hijri date of the render day in the watermark
+  let hijriDate = null;
+  if (body.showHijriDate === true || body.showHijriDate === 'true') {
+    const { options, error } = parseHijriOptions({ calendar: body.hijriCalendar, offset: body.hijriOffset });
+    if (error) {
+      return { error };
+    }
+    hijriDate = options;
+  }
+
+  // Optional pagination of long verses over several screens instead of shrinking the text
+  let pagination = null;
+  if (body.paginate === true || body.paginate === 'true') {
+    const minFontSize = body.minFontSize !== undefined && body.minFontSize !== '' ? parseInt(body.minFontSize) : null;
+    if (minFontSize !== null && (isNaN(minFontSize) || minFontSize < 16 || minFontSize > 200)) {
+      return { error: 'minFontSize must be between 16 and 200' };
+    }
+    pagination = { minFontSize };
+  }
+
+  return { options: { theme, hijriDate, pagination } };
+}
+
+// Watermark title of a Quran render, e.g. "Al-Baqarah, Verses 2-5"
+function verseRangeTitle(surah, from, to) {
+  const surahName = quranData.data.surahs[surah - 1].englishName;
+  return to > from ? `${surahName}, Verses ${from}-${to}` : `${surahName}, Verse ${from}`;
+}
+
+// Hijri date of the render day for the watermark, when it was asked for
+function hijriWatermark(hijriDate) {
+  if (!hijriDate) return null;
+  const now = new Date();
+  return hijri.toHijri(now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate(), hijriDate).formatted;
+}
+
+// The selected translations of an ayah as drawn on screen, in the theme's fonts
+function verseTranslations(translationIds, surah, ayah, theme) {
+  return translationIds.map(id => {
+    const text = translations.getAyahTranslation(id, surah, ayah);
+    if (!text) {
+      throw new Error(`Translation ${id} for verse ${ayah} not found`);
+    }
+    const translation = translations.getTranslation(id);
+    return {
+      id,
+      label: translation.englishName,
+      language: translation.language,
+      text,
+      font: render.translationFont(theme, translation),
+      direction: translation.direction
+    };
+  });
+}
+
+// Write overlay layers to temp/ as <prefix>_<name>.png for FFmpeg (names are unique within
+// one render) and drop their buffers
+function saveLayers(prefix, layers) {
+  layers.forEach(layer => {
+    layer.path = path.join(__dirname, 'temp', `${prefix}_${layer.name}.png`);
+    fs.writeFileSync(layer.path, layer.buffer);
+    delete layer.buffer;
+  });
+  return layers;
+}
+
+function removeLayers(layers) {
+  layers.forEach(layer => fs.removeSync(layer.path));
+}
+
+// --- Previews: the first screen of the video the same parameters would make ---
+
+const PREVIEW_DURATION = 3; // seconds
+const PREVIEW_SCALE = 0.5; // previews are the final layout at half the size
+
+// Parameters of /api/preview-video and /api/preview-frame: { params } or { status, error }
+function parsePreviewRequest(body) {
+  const { surah, ayah, ayahTo } = body;
+  if (!surah || !ayah) {
+    return { status: 400, error: 'Missing required parameters' };
+  }
+  const surahNum = parseInt(surah);
+  const startVerse = parseInt(ayah);
+  const endVerse = ayahTo ? parseInt(ayahTo) : startVerse;
+  if (isNaN(surahNum) || isNaN(startVerse) || isNaN(endVerse)) {
+    return { status: 400, error: 'Invalid surah or ayah numbers' };
+  }
+
+  const { ids: translationIds, unknown } = translations.resolveTranslationIds(body.translation);
+  if (unknown.length > 0) {
+    return { status: 400, error: `Unknown translation: ${unknown.join(', ')}` };
+  }
+
+  const surahData = quranData.data.surahs[surahNum - 1];
+  if (!surahData || !surahData.ayahs[startVerse - 1] || !surahData.ayahs[endVerse - 1]) {
+    return { status: 404, error: `Verse ${surahNum}:${startVerse} not found` };
+  }
+  for (const translationId of translationIds) {
+    if (!translations.getAyahTranslation(translationId, surahNum, startVerse)) {
+      return { status: 404, error: `Translation ${translationId} for verse ${startVerse} not found` };
+    }
+  }
+
+  const backgroundPath = libraryBackgroundPath(body);
+  if (!backgroundPath) {
+    return { status: 404, error: 'Background video not found' };
+  }
+
+  const { options, error } = parseOverlayOptions(body);
+  if (error) {
+    return { status: 400, error };
+  }
+  const { frame, error: frameError } = render.resolveFrame(body);
+  if (frameError) {
+    return { status: 400, error: frameError };
+  }
+
+  return {
+    params: {
+      surah: surahNum,
+      ayah: startVerse,
+      ayahTo: endVerse,
+      backgroundPath,
+      translationIds,
+      textColor: body.textColor,
+      fontSize: body.fontSize,
+      fontFamily: body.fontFamily,
+      frame,
+      ...options
+    }
+  };
+}
+
+// Overlay layers of a preview: the first verse (its first page when paginated), sized, laid
+// out and drawn by lib/render exactly as runVideoJob does it
+function renderPreviewLayers(previewId, params) {
+  const { surah, ayah, ayahTo, translationIds, textColor, fontSize, fontFamily, frame, theme, hijriDate, pagination } = params;
+  const layout = render.createLayout({ ...frame, theme, fontFamily, textColor, fontSize });
+
+  const verse = {
+    arabicText: prepareArabicForDisplay(quranData.data.surahs[surah - 1].ayahs[ayah - 1].text),
+    translations: verseTranslations(translationIds, surah, ayah, layout.theme)
+  };
+  render.sizeText(layout, verse, pagination);
+  const screen = pagination ? render.splitIntoPages(layout, verse)[0] : verse;
+  const rendered = render.renderScreen(layout, screen);
+
+  fs.ensureDirSync(path.join(__dirname, 'temp'));
+  const layers = saveLayers(previewId, [
+    render.renderWatermark(layout, verseRangeTitle(surah, ayah, ayahTo), hijriWatermark(hijriDate)),
+    rendered.backdrop,
+    rendered.arabic,
+    ...rendered.translations
+  ]);
+  return { layout, layers, boxes: [rendered.box] };
+}
+
+// Background (input 0) plus the preview's layers composited into [final] at the given scale
+function previewCommand(params, composition, scale) {
+  const { layout, layers, boxes } = composition;
+  const command = ffmpeg()
+    .input(params.backgroundPath)
+    .inputOptions(['-stream_loop', '-1', '-t', PREVIEW_DURATION.toString()]);
+  layers.forEach(layer => command.input(layer.path));
+  return command.complexFilter(render.compositeFilters(layout, layers, { firstInput: 1, boxes, scale }));
+}
+
+// Generate live preview video (short version for real-time preview)
+// Pass `async: true` to queue it instead and follow /api/jobs/:id/events for progress
+app.post('/api/preview-video', async (req, res) => {
+  try {
+    console.log('Generating live preview...');
+
+    const { params, status, error } = parsePreviewRequest(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    params.baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    if (req.body.async) {
+      const job = previewQueue.add(params);
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+      });
+    }
+
+    const result = await runPreviewJob({ id: uuidv4(), params }, () => {}, () => {});
+
+    res.json({
+      success: true,
+      previewUrl: result.previewUrl
+    });
+
+  } catch (error) {
+    console.error('Preview generation error:', error);
+    res.status(500).json({ error: 'Failed to generate preview' });
+  }
+});
+
+// Preview render pipeline - used directly by /api/preview-video or through the preview queue
+async function runPreviewJob(job, update, notify) {
+  const previewId = job.id;
+  const outputPath = path.join(__dirname, 'previews', `${previewId}.mp4`);
+
+  update({ state: 'rendering-overlays' });
+  const composition = renderPreviewLayers(previewId, job.params);
+  composition.layers.forEach(layer => notify('overlay-rendered', { overlay: layer.name }));
+
+  try {
+    const command = previewCommand(job.params, composition, PREVIEW_SCALE)
+      .outputOptions(['-map', '[final]', '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p', '-an'])
+      .output(outputPath);
+
+    fs.ensureDirSync(path.join(__dirname, 'previews'));
+    console.log('🎬 Starting FFmpeg preview generation...');
+
+    update({ state: 'encoding', progress: 0 });
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        console.error('⏰ FFmpeg timeout after 30 seconds');
+        reject(new Error('FFmpeg timeout after 30 seconds'));
+      }, 30000); // 30 second timeout
+
+      command
+        .on('start', (commandLine) => {
+          console.log('🚀 FFmpeg started with command:', commandLine);
+        })
+        .on('progress', (progress) => {
+          console.log('📊 FFmpeg progress:', progress.percent ? `${progress.percent.toFixed(1)}%` : 'processing...');
+          reportFfmpegProgress(progress, update, notify);
+        })
+        .on('end', () => {
+          clearTimeout(timeout);
+          console.log('✅ FFmpeg preview generation completed successfully');
+          resolve();
+        })
+        .on('error', (err, stdout, stderr) => {
+          clearTimeout(timeout);
+          console.error('❌ FFmpeg error:', err);
+          err.stderrTail = stderrTail(stderr);
+          reject(err);
+        })
+        .run();
+    });
+  } finally {
+    removeLayers(composition.layers);
+  }
+
+  return {
+    previewUrl: `${job.params.baseUrl}/api/previews/${previewId}.mp4`
+  };
+}
+
+// Write the single frame an FFmpeg command composites into [final] as an image file
+function writeFrame(command, outputPath, outputOptions = []) {
+  return new Promise((resolve, reject) => {
+    command
+      .outputOptions(['-map', '[final]', '-frames:v', '1', ...outputOptions])
+      .output(outputPath)
+      .on('end', resolve)
+      .on('error', (err, stdout, stderr) => {
+        err.stderrTail = stderrTail(stderr);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+// Still PNG of the preview, the first frame of /api/preview-video's output. Same body,
+// plus an optional scale (0.1-1, default 0.5) of the final video's size.
+app.post('/api/preview-frame', async (req, res) => {
+  const { params, status, error } = parsePreviewRequest(req.body);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  const scale = req.body.scale !== undefined && req.body.scale !== '' ? parseFloat(req.body.scale) : PREVIEW_SCALE;
+  if (isNaN(scale) || scale < 0.1 || scale > 1) {
+    return res.status(400).json({ error: 'scale must be between 0.1 and 1' });
+  }
+
+  const frameId = uuidv4();
+  const framePath = path.join(__dirname, 'temp', `${frameId}_frame.png`);
+  let composition = null;
+  try {
+    composition = renderPreviewLayers(frameId, params);
+    await writeFrame(previewCommand(params, composition, scale), framePath);
+
+    res.type('png');
+    res.sendFile(framePath, () => fs.removeSync(framePath));
+  } catch (error) {
+    console.error('Preview frame error:', error, error.stderrTail || '');
+    fs.removeSync(framePath);
+    res.status(500).json({ error: 'Failed to render preview frame' });
+  } finally {
+    if (composition) removeLayers(composition.layers);
+  }
+});
+
+// --- Still images: a verse as a PNG or JPEG card for social media ---
+
+const IMAGE_FORMATS = {
+  png: { contentType: 'image/png', extension: 'png', outputOptions: [] },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', outputOptions: ['-q:v', '2'] }
+};
+const IMAGE_BACKGROUNDS = ['video', 'image', 'color'];
+const MAX_IMAGE_AYAHS = 5; // a card shows the whole range on one screen
+const DEFAULT_IMAGE_COLOR = '#0f2027';
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Body of /api/generate-image: { options } or { status, error }
+function parseImageRequest(body, file) {
+  const surahNum = parseInt(body.surah);
+  const startVerse = parseInt(body.ayah);
+  const endVerse = body.ayahTo ? parseInt(body.ayahTo) : startVerse;
+  if (isNaN(surahNum) || isNaN(startVerse) || isNaN(endVerse) || endVerse < startVerse) {
+    return { status: 400, error: 'Invalid surah or ayah numbers' };
+  }
+  if (endVerse - startVerse + 1 > MAX_IMAGE_AYAHS) {
+    return { status: 400, error: `An image shows at most ${MAX_IMAGE_AYAHS} ayahs` };
+  }
+  const surahData = quranData.data.surahs[surahNum - 1];
+  if (!surahData || !surahData.ayahs[startVerse - 1] || !surahData.ayahs[endVerse - 1]) {
+    return { status: 404, error: `Verse ${surahNum}:${startVerse}-${endVerse} not found` };
+  }
+
+  const { ids: translationIds, unknown } = translations.resolveTranslationIds(body.translation);
+  if (unknown.length > 0) {
+    return { status: 400, error: `Unknown translation: ${unknown.join(', ')}` };
+  }
+  for (let i = startVerse; i <= endVerse; i++) {
+    for (const translationId of translationIds) {
+      if (!translations.getAyahTranslation(translationId, surahNum, i)) {
+        return { status: 404, error: `Translation ${translationId} for verse ${i} not found` };
+      }
+    }
+  }
+
+  const size = body.size || 'square';
+  if (!render.IMAGE_SIZES[size]) {
+    return { status: 400, error: `Unknown size, expected one of: ${Object.keys(render.IMAGE_SIZES).join(', ')}` };
+  }
+  const format = body.format === 'jpg' ? 'jpeg' : body.format || 'png';
+  if (!IMAGE_FORMATS[format]) {
+    return { status: 400, error: `Unknown format, expected one of: ${Object.keys(IMAGE_FORMATS).join(', ')}` };
+  }
+
+  // The background defaults to what was sent: an uploaded image, a video, or a colour
+  const backgroundType = body.backgroundType || (file ? 'image' : body.backgroundId || body.backgroundFilename ? 'video' : 'color');
+  if (!IMAGE_BACKGROUNDS.includes(backgroundType)) {
+    return { status: 400, error: `Unknown backgroundType, expected one of: ${IMAGE_BACKGROUNDS.join(', ')}` };
+  }
+  const background = { type: backgroundType };
+  if (backgroundType === 'video') {
+    background.path = libraryBackgroundPath(body);
+    if (!background.path) {
+      return { status: 404, error: 'Background video not found' };
+    }
+    background.time = body.time !== undefined && body.time !== '' ? parseFloat(body.time) : 0;
+    if (isNaN(background.time) || background.time < 0) {
+      return { status: 400, error: 'time must be a number of seconds into the background video' };
+    }
+  } else if (backgroundType === 'image') {
+    if (!file) {
+      return { status: 400, error: 'Upload the background image as "background"' };
+    }
+    if (media.BACKGROUND_TYPES[file.mimetype] !== 'image') {
+      return { status: 400, error: 'The background must be a JPEG, PNG or WebP image' };
+    }
+    background.path = file.path;
+    background.mimetype = file.mimetype;
+  } else {
+    background.color = body.backgroundColor || DEFAULT_IMAGE_COLOR;
+    background.gradientTo = body.backgroundGradient || null;
+    if (!HEX_COLOR.test(background.color) || (background.gradientTo && !HEX_COLOR.test(background.gradientTo))) {
+      return { status: 400, error: 'backgroundColor and backgroundGradient must be hex colours such as #0f2027' };
+    }
+  }
+
+  const { options, error } = parseOverlayOptions(body);
+  if (error) {
+    return { status: 400, error };
+  }
+
+  return {
+    options: {
+      surah: surahNum,
+      ayah: startVerse,
+      ayahTo: endVerse,
+      translationIds,
+      ...render.IMAGE_SIZES[size],
+      format,
+      background,
+      textColor: body.textColor,
+      fontSize: body.fontSize,
+      fontFamily: body.fontFamily,
+      theme: options.theme,
+      hijriDate: options.hijriDate
+    }
+  };
+}
+
+// Solid or top-to-bottom gradient background, as an image file FFmpeg can read
+function writeColorBackground(outputPath, { color, gradientTo }, width, height) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (gradientTo) {
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(1, gradientTo);
+    ctx.fillStyle = gradient;
+  } else {
+    ctx.fillStyle = color;
+  }
+  ctx.fillRect(0, 0, width, height);
+  fs.writeFileSync(outputPath, canvas.toBuffer('image/png'));
+}
+
+// The verse card of parseImageRequest() options at outputPath: the whole range as one
+// screen, sized to fit like the first screen of a video. Also the cover art of audio-only
+// videos.
+async function renderVerseCard(cardId, options, outputPath) {
+  const { surah, ayah, ayahTo, width, height, background, format } = options;
+  const temporaryPaths = [];
+  let layers = [];
+
+  try {
+    const layout = render.createLayout({
+      width,
+      height,
+      theme: options.theme,
+      fontFamily: options.fontFamily,
+      textColor: options.textColor,
+      fontSize: options.fontSize
+    });
+    const screen = { arabicText: '', translations: [] };
+    for (let i = ayah; i <= ayahTo; i++) {
+      const arabicText = prepareArabicForDisplay(quranData.data.surahs[surah - 1].ayahs[i - 1].text);
+      screen.arabicText = screen.arabicText ? `${screen.arabicText} ${arabicText}` : arabicText;
+      verseTranslations(options.translationIds, surah, i, layout.theme).forEach((translation, index) => {
+        const joined = screen.translations[index];
+        screen.translations[index] = joined ? { ...joined, text: `${joined.text} ${translation.text}` } : translation;
+      });
+    }
+    render.sizeText(layout, screen);
+    const rendered = render.renderScreen(layout, screen);
+    layers = saveLayers(cardId, [
+      render.renderWatermark(layout, verseRangeTitle(surah, ayah, ayahTo), hijriWatermark(options.hijriDate)),
+      rendered.backdrop,
+      rendered.arabic,
+      ...rendered.translations
+    ]);
+
+    let command;
+    if (background.type === 'video') {
+      command = ffmpeg().input(background.path).inputOptions(['-ss', background.time.toString()]);
+    } else if (background.type === 'image') {
+      command = ffmpeg().input(background.path);
+    } else {
+      const colorPath = path.join(__dirname, 'temp', `${cardId}_background.png`);
+      temporaryPaths.push(colorPath);
+      writeColorBackground(colorPath, background, width, height);
+      command = ffmpeg().input(colorPath);
+    }
+    layers.forEach(layer => command.input(layer.path));
+    command.complexFilter(render.compositeFilters(layout, layers, { firstInput: 1, boxes: [rendered.box] }));
+
+    await writeFrame(command, outputPath, IMAGE_FORMATS[format].outputOptions);
+  } finally {
+    removeLayers(layers);
+    temporaryPaths.forEach(temporaryPath => fs.removeSync(temporaryPath));
+  }
+}
+
+// A verse (or a few) on one screen over a video frame, an uploaded image or a colour, with
+// the surah/verse label and watermark. Multipart when uploading the background image.
+// Returns the image itself.
+app.post('/api/generate-image', acceptUploads(upload.single('background')), async (req, res) => {
+  const imageId = uuidv4();
+
+  try {
+    const { options, status, error } = parseImageRequest(req.body, req.file);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { surah, ayah, ayahTo, background, format } = options;
+
+    if (background.type === 'video') {
+      const duration = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(background.path, (err, metadata) => {
+          if (err) reject(err);
+          else resolve(metadata.format.duration);
+        });
+      });
+      // Some streams don't report a duration, their frame is then looked for regardless
+      if (Number.isFinite(duration) && background.time >= duration) {
+        return res.status(400).json({ error: `time is past the end of the background video (${duration.toFixed(1)}s)` });
+      }
+    } else if (background.type === 'image') {
+      const probed = await media.probeBackground(background.path, background.mimetype);
+      if (probed.error) {
+        return res.status(400).json({ error: probed.error });
+      }
+    }
+
+    const { contentType, extension } = IMAGE_FORMATS[format];
+    const imagePath = path.join(__dirname, 'temp', `${imageId}.${extension}`);
+    await renderVerseCard(imageId, options, imagePath);
+
+    const filename = `${quranData.data.surahs[surah - 1].englishName}-${ayah}${ayahTo > ayah ? `-${ayahTo}` : ''}.${extension}`;
+    res.set({ 'Content-Type': contentType, 'Content-Disposition': `inline; filename="${filename}"` });
+    res.sendFile(imagePath, () => fs.removeSync(imagePath));
+  } catch (error) {
+    console.error('Image generation error:', error, error.stderrTail || '');
+    res.status(500).json({ error: 'Failed to generate image' });
+  } finally {
+    if (req.file) fs.removeSync(req.file.path);
+  }
+});
+
+// A library entry as the API shows it
+function backgroundSummary(entry) {
+  return {
+    ...entry,
+    type: 'video',
+    displayName: entry.title,
+    thumbnailUrl: `/api/thumbnail/${encodeURIComponent(entry.filename)}`,
+    previewUrl: `/api/backgrounds/${entry.id}/preview`
+  };
+}
+
+// The background library, optionally filtered: tag (comma-separated, any of them),
+// orientation, q (title, tag or attribution text), license, minDuration (seconds) and
+// color (#rrggbb, nearest dominant colour first)
+app.get('/api/backgrounds', (req, res) => {
+  const { orientation, q, color, license, minDuration } = req.query;
+
+  if (orientation && !backgrounds.ORIENTATIONS.includes(backgrounds.normalizeOrientation(orientation))) {
+    return res.status(400).json({ error: `orientation must be one of: ${backgrounds.ORIENTATIONS.join(', ')}` });
+  }
+  if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+    return res.status(400).json({ error: 'color must be a hex colour such as #336699' });
+  }
+  if (minDuration !== undefined && isNaN(parseFloat(minDuration))) {
+    return res.status(400).json({ error: 'minDuration must be a number of seconds' });
+  }
+
+  const entries = backgroundLibrary.list({
+    tags: [].concat(req.query.tag || []).flatMap(tag => String(tag).split(',')).map(tag => tag.trim().toLowerCase()).filter(Boolean),
+    orientation: orientation || null,
+    search: q ? String(q) : null,
+    color: color ? color.toLowerCase() : null,
+    license: license ? String(license) : null,
+    minDuration: minDuration !== undefined ? parseFloat(minDuration) : null
+  });
+  res.json(entries.map(backgroundSummary));
+});
+
+// Thumbnails and hover previews are rendered when a clip is added to the library
+app.get('/api/thumbnail/:filename', (req, res) => {
+  const entry = backgroundLibrary.findByFilename(req.params.filename);
+  if (!entry || !fs.existsSync(backgroundLibrary.thumbnailPath(entry))) {
+    return res.status(404).send('Thumbnail not found');
+  }
+  res.sendFile(backgroundLibrary.thumbnailPath(entry));
+});
+
+app.get('/api/backgrounds/:id/preview', (req, res) => {
+  const entry = backgroundLibrary.get(req.params.id);
+  if (!entry || !fs.existsSync(backgroundLibrary.hoverPreviewPath(entry))) {
+    return res.status(404).json({ error: 'Background not found' });
+  }
+  res.sendFile(backgroundLibrary.hoverPreviewPath(entry));
+});
+
+// Add a clip to the library: multipart with the video as `background` plus optional title,
+// tags, orientations (worked out from the resolution when left out), license and attribution
+app.post('/api/admin/backgrounds', requireAdmin, acceptUploads(upload.single('background')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No background clip uploaded' });
+  }
+
+  try {
+    const { metadata, error } = backgrounds.parseMetadata(req.body);
+    if (error) {
+      fs.removeSync(req.file.path);
+      return res.status(400).json({ error });
+    }
+
+    const result = await backgroundLibrary.ingest(req.file.path, {
+      mimetype: req.file.mimetype,
+      id: metadata.title || req.file.originalname,
+      metadata
+    });
+    if (result.error) {
+      fs.removeSync(req.file.path);
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({ success: true, background: backgroundSummary(result.entry) });
+  } catch (error) {
+    console.error('Error adding background:', error);
+    fs.removeSync(req.file.path);
+    res.status(500).json({ error: 'Failed to add background' });
+  }
+});
+
+// Edit a clip's title, tags, orientations, license or attribution
+app.patch('/api/admin/backgrounds/:id', requireAdmin, (req, res) => {
+  const { metadata, error } = backgrounds.parseMetadata(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Object.keys(metadata).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update (title, tags, orientations, license, attribution)' });
+  }
+
+  const entry = backgroundLibrary.update(req.params.id, metadata);
+  if (!entry) {
+    return res.status(404).json({ error: 'Background not found' });
+  }
+  res.json({ success: true, background: backgroundSummary(entry) });
+});
+
+// Remove a clip along with its thumbnail and hover preview
+app.delete('/api/admin/backgrounds/:id', requireAdmin, (req, res) => {
+  const entry = backgroundLibrary.remove(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Background not found' });
+  }
+  res.json({ success: true, id: entry.id });
+});
+
+// Serve preview videos
+app.get('/api/previews/:filename', (req, res) => {
+  const filename = req.params.filename;
+  const previewPath = path.join(__dirname, 'previews', filename);
+  
+  console.log(`📹 Preview video requested: ${filename}`);
+  console.log(`📁 Looking for file at: ${previewPath}`);
+  console.log(`📋 File exists: ${fs.existsSync(previewPath)}`);
+  
+  if (fs.existsSync(previewPath)) {
+    // Set proper headers for video serving
+    res.set({
+      'Content-Type': 'video/mp4',
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'no-cache'
+    });
+    res.sendFile(previewPath);
+  } else {
+    console.log(`❌ Preview not found: ${previewPath}`);
+    res.status(404).send('Preview not found');
+  }
+});
+
+// Get verse audio range
+app.get('/api/verse-audio-range/:surah/:ayahFrom/:ayahTo/:reciter', async (req, res) => {
+  try {
+    const { surah, ayahFrom, ayahTo } = req.params;
+    
+    const reciter = reciters.resolveReciter(req.params.reciter);
+    if (!reciter) {
+      return res.status(400).json({ error: `Unknown reciter: ${req.params.reciter}` });
+    }
+
+    const audioFiles = [];
+    
+    // Collect audio files for the range
+    for (let ayah = parseInt(ayahFrom); ayah <= parseInt(ayahTo); ayah++) {
+      audioFiles.push(reciters.getAyahAudioUrl(reciter, surah, ayah));
+    }
+    
+    res.json({ 
+      audioUrls: audioFiles,
+      reciter: reciter.id,
+      verses: `${ayahFrom}-${ayahTo}`
+    });
+  } catch (error) {
+    console.error('Error getting verse audio range:', error);
+    res.status(500).json({ error: 'Failed to get verse audio range' });
+  }
+});
+
+// Continuous audio for a verse range: the ayah files joined into one stream, optionally
+// with silence between verses. Each combination of options is rendered once and kept in
+// generated/ (next to a JSON sidecar with the per-verse offsets) until /api/cleanup.
+const RANGE_AUDIO_FORMATS = {
+  mp3: { codec: 'libmp3lame', container: 'mp3', extension: 'mp3', contentType: 'audio/mpeg', bitrate: 128 },
+  aac: { codec: 'aac', container: 'ipod', extension: 'm4a', contentType: 'audio/mp4', bitrate: 128, outputOptions: ['-movflags', '+faststart'] },
+  opus: { codec: 'libopus', container: 'ogg', extension: 'opus', contentType: 'audio/ogg', bitrate: 64 }
+};
+const RANGE_AUDIO_BITRATES = [32, 48, 64, 96, 128, 160, 192, 256, 320];
+const MAX_VERSE_GAP = 10; // seconds
+const audioRenders = new Map(); // output name -> render promise
+
+// Route params plus ?format=&bitrate=&gap=, shared by the stream and its timings
+function parseRangeAudioRequest(params, query) {
+  const reciter = reciters.resolveReciter(params.reciter);
+  if (!reciter) {
+    return { error: `Unknown reciter: ${params.reciter}` };
+  }
+
+  const surahNumber = parseInt(params.surah);
+  const from = parseInt(params.ayahFrom);
+  const to = parseInt(params.ayahTo);
+  const surah = quran.getSurah(surahNumber);
+  if (!surah) {
+    return { error: `Invalid surah number: ${params.surah}` };
+  }
+  if (isNaN(from) || isNaN(to) || from < 1 || to < from || to > surah.numberOfAyahs) {
+    return { error: `Invalid ayah range for surah ${surahNumber} (1-${surah.numberOfAyahs})` };
+  }
+
+  const format = String(query.format || 'mp3').toLowerCase();
+  const formatInfo = RANGE_AUDIO_FORMATS[format];
+  if (!formatInfo) {
+    return { error: `Unknown format: ${query.format} (${Object.keys(RANGE_AUDIO_FORMATS).join(', ')})` };
+  }
+
+  const bitrate = query.bitrate ? parseInt(query.bitrate) : formatInfo.bitrate;
+  if (!RANGE_AUDIO_BITRATES.includes(bitrate)) {
+    return { error: `bitrate must be one of ${RANGE_AUDIO_BITRATES.join(', ')} kbps` };
+  }
+
+  const gap = query.gap ? parseFloat(query.gap) : 0;
+  if (isNaN(gap) || gap < 0 || gap > MAX_VERSE_GAP) {
+    return { error: `gap must be between 0 and ${MAX_VERSE_GAP} seconds` };
+  }
+
+  return { options: { reciter, surah: surahNumber, from, to, format, bitrate, gap } };
+}
+
+// Render a sequence of ayahs (an ayah may appear any number of times) into one audio file
+// at outputPath, with `gap` seconds of silence between consecutive entries. Resolves to
+// the entries with their start/end offsets in seconds, and the total duration.
+async function renderAyahSequence(reciter, sequence, outputPath, { format, bitrate, gap }) {
+  const formatInfo = RANGE_AUDIO_FORMATS[format];
+  const workPrefix = path.join(__dirname, 'temp', `sequence_${uuidv4()}`);
+  const tempFiles = [];
+  const round = seconds => Math.round(seconds * 1000) / 1000;
+
+  try {
+    let silencePath = null;
+    if (gap > 0) {
+      silencePath = `${workPrefix}_gap.mp3`;
+      tempFiles.push(silencePath);
+      await createSilence(silencePath, gap);
+    }
+
+    // Each distinct ayah is fetched and probed once, however often it is repeated
+    const ayahAudio = new Map(); // "surah:ayah" -> { path, duration }
+    const inputPaths = [];
+    const entries = [];
+    let offset = 0;
+    for (const [index, entry] of sequence.entries()) {
+      const id = `${entry.surah}:${entry.ayah}`;
+      if (!ayahAudio.has(id)) {
+        // Work on a copy, the cached file may be evicted before FFmpeg reads it
+        const versePath = `${workPrefix}_${entry.surah}_${entry.ayah}.mp3`;
+        tempFiles.push(versePath);
+        fs.copyFileSync(await audioCache.getAyahAudio(reciter, entry.surah, entry.ayah), versePath);
+
+        const duration = await new Promise((resolve, reject) => {
+          ffmpeg.ffprobe(versePath, (err, metadata) => {
+            if (err) reject(err);
+            else resolve(metadata.format.duration);
+          });
+        });
+        ayahAudio.set(id, { path: versePath, duration });
+      }
+
+      const { path: versePath, duration } = ayahAudio.get(id);
+      if (silencePath && index > 0) {
+        inputPaths.push(silencePath);
+        offset += gap;
+      }
+      inputPaths.push(versePath);
+      entries.push({ ...entry, start: round(offset), end: round(offset + duration) });
+      offset += duration;
+    }
+
+    const tempOutputPath = `${workPrefix}.${formatInfo.extension}`;
+    tempFiles.push(tempOutputPath);
+    await concatAudio(inputPaths, tempOutputPath, command => {
+      command
+        .audioCodec(formatInfo.codec)
+        .audioBitrate(bitrate)
+        .format(formatInfo.container);
+      if (formatInfo.outputOptions) {
+        command.outputOptions(formatInfo.outputOptions);
+      }
+    });
+    fs.moveSync(tempOutputPath, outputPath, { overwrite: true });
+
+    return { entries, duration: round(offset) };
+  } finally {
+    tempFiles.forEach(filePath => fs.removeSync(filePath));
+  }
+}
+
+// Resolves to { audioPath, timings } for generated/<name>.<extension> and its JSON sidecar,
+// calling renderAudio(audioPath) (which resolves to the timings) unless both are on disk already.
+// Concurrent requests for the same name share one render.
+function cachedAudioRender(name, extension, renderAudio) {
+  const audioPath = path.join(__dirname, 'generated', `${name}.${extension}`);
+  const timingsPath = path.join(__dirname, 'generated', `${name}.json`);
+
+  if (fs.existsSync(audioPath) && fs.existsSync(timingsPath)) {
+    return Promise.resolve({ audioPath, timings: fs.readJsonSync(timingsPath) });
+  }
+
+  if (!audioRenders.has(name)) {
+    const pending = renderAudio(audioPath)
+      .then(timings => {
+        fs.writeJsonSync(timingsPath, timings);
+        return { audioPath, timings };
+      })
+      .finally(() => audioRenders.delete(name));
+    audioRenders.set(name, pending);
+  }
+
+  return audioRenders.get(name);
+}
+
+// Short, stable id for a set of render options
+function renderKey(values) {
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex').slice(0, 16);
+}
+
+function renderRangeAudio(options) {
+  const { reciter, surah, from, to, format, bitrate, gap } = options;
+  const key = renderKey([reciter.directory, surah, from, to, format, bitrate, gap]);
+
+  return cachedAudioRender(`range_${key}`, RANGE_AUDIO_FORMATS[format].extension, async audioPath => {
+    const sequence = [];
+    for (let ayah = from; ayah <= to; ayah++) {
+      sequence.push({ surah, ayah });
+    }
+
+    const { entries, duration } = await renderAyahSequence(reciter, sequence, audioPath, options);
+    console.log(`🎧 Rendered ${reciter.id} ${surah}:${from}-${to} as ${format} (${duration}s)`);
+    return { surah, from, to, reciter: reciter.id, format, bitrate, gap, duration, verses: entries };
+  });
+}
+
+function rangeAudioUrl(options, suffix) {
+  const { reciter, surah, from, to, format, bitrate, gap } = options;
+  const query = new URLSearchParams({ format, bitrate: String(bitrate), ...(gap > 0 && { gap: String(gap) }) });
+  return `/api/verse-audio-range/${surah}/${from}/${to}/${reciter.id}/${suffix}?${query}`;
+}
+
+// Stream a verse range as one audio file (?format=mp3|aac|opus&bitrate=&gap=seconds).
+// sendFile answers Range requests, so players can seek before the download finishes.
+app.get('/api/verse-audio-range/:surah/:ayahFrom/:ayahTo/:reciter/stream', async (req, res) => {
+  const { options, error } = parseRangeAudioRequest(req.params, req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { audioPath } = await renderRangeAudio(options);
+    res.setHeader('Link', `<${rangeAudioUrl(options, 'timings')}>; rel="describedby"`);
+    res.sendFile(audioPath, {
+      headers: { 'Content-Type': RANGE_AUDIO_FORMATS[options.format].contentType }
+    });
+  } catch (error) {
+    console.error('Error streaming verse audio range:', error);
+    res.status(error.code === 'AUDIO_UNAVAILABLE' ? 503 : 500).json({ error: `Failed to build verse audio range: ${error.message}` });
+  }
+});
+
+// Per-verse start/end offsets (seconds) within the stream above, same query parameters
+app.get('/api/verse-audio-range/:surah/:ayahFrom/:ayahTo/:reciter/timings', async (req, res) => {
+  const { options, error } = parseRangeAudioRequest(req.params, req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { timings } = await renderRangeAudio(options);
+    res.json({ ...timings, streamUrl: rangeAudioUrl(options, 'stream') });
+  } catch (error) {
+    console.error('Error getting verse audio range timings:', error);
+    res.status(error.code === 'AUDIO_UNAVAILABLE' ? 503 : 500).json({ error: `Failed to build verse audio range: ${error.message}` });
+  }
+});
+
+// Hifz (memorisation) plans: every ayah of the range is recited `repeat` times, and with
+// cumulative review the ayahs learnt so far are then recited together (1, 1-2, 1-2-3, ...)
+// `reviewRepeat` times before moving on. `pause` seconds of silence separate recitations.
+const HIFZ_REVIEW_PATTERNS = ['cumulative', 'none'];
+const MAX_HIFZ_AYAHS = 30;
+const MAX_HIFZ_REPEAT = 20;
+const MAX_HIFZ_RECITATIONS = 600; // ayah recitations in one plan
+
+function buildHifzSequence({ surah, from, to, repeat, review, reviewRepeat }) {
+  const sequence = [];
+  let step = 0;
+
+  for (let ayah = from; ayah <= to; ayah++) {
+    step++;
+    for (let repetition = 1; repetition <= repeat; repetition++) {
+      sequence.push({ step, phase: 'memorise', surah, ayah, repetition });
+    }
+
+    if (review === 'cumulative' && ayah > from) {
+      step++;
+      for (let repetition = 1; repetition <= reviewRepeat; repetition++) {
+        for (let reviewAyah = from; reviewAyah <= ayah; reviewAyah++) {
+          sequence.push({ step, phase: 'review', surah, ayah: reviewAyah, repetition });
+        }
+      }
+    }
+  }
+
+  return sequence;
+}
+
+// Build (or reuse) a plan's audio and return its timed playlist
+app.post('/api/hifz/plan', async (req, res) => {
+  const body = req.body || {};
+  const { options, error } = parseRangeAudioRequest(
+    { surah: body.surah, ayahFrom: body.ayahFrom, ayahTo: body.ayahTo, reciter: body.reciter },
+    { format: body.format, bitrate: body.bitrate }
+  );
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (options.to - options.from + 1 > MAX_HIFZ_AYAHS) {
+    return res.status(400).json({ error: `A plan covers at most ${MAX_HIFZ_AYAHS} ayahs` });
+  }
+
+  const repeat = body.repeat !== undefined ? parseInt(body.repeat) : 3;
+  if (isNaN(repeat) || repeat < 1 || repeat > MAX_HIFZ_REPEAT) {
+    return res.status(400).json({ error: `repeat must be between 1 and ${MAX_HIFZ_REPEAT}` });
+  }
+  const review = body.review || 'cumulative';
+  if (!HIFZ_REVIEW_PATTERNS.includes(review)) {
+    return res.status(400).json({ error: `review must be one of: ${HIFZ_REVIEW_PATTERNS.join(', ')}` });
+  }
+  const reviewRepeat = body.reviewRepeat !== undefined ? parseInt(body.reviewRepeat) : 1;
+  if (isNaN(reviewRepeat) || reviewRepeat < 1 || reviewRepeat > MAX_HIFZ_REPEAT) {
+    return res.status(400).json({ error: `reviewRepeat must be between 1 and ${MAX_HIFZ_REPEAT}` });
+  }
+  const pause = body.pause !== undefined ? parseFloat(body.pause) : 1;
+  if (isNaN(pause) || pause < 0 || pause > MAX_VERSE_GAP) {
+    return res.status(400).json({ error: `pause must be between 0 and ${MAX_VERSE_GAP} seconds` });
+  }
+
+  const plan = { ...options, repeat, review, reviewRepeat, gap: pause };
+  const sequence = buildHifzSequence(plan);
+  if (sequence.length > MAX_HIFZ_RECITATIONS) {
+    return res.status(400).json({ error: `This plan has ${sequence.length} recitations, the limit is ${MAX_HIFZ_RECITATIONS}. Use a shorter range or fewer repetitions.` });
+  }
+
+  const { reciter, surah, from, to, format, bitrate } = plan;
+  const planId = renderKey([reciter.directory, surah, from, to, format, bitrate, repeat, review, reviewRepeat, pause]);
+
+  try {
+    const { timings } = await cachedAudioRender(`hifz_${planId}`, RANGE_AUDIO_FORMATS[format].extension, async audioPath => {
+      const { entries, duration } = await renderAyahSequence(reciter, sequence, audioPath, plan);
+      console.log(`🧠 Rendered hifz plan ${planId}: ${reciter.id} ${surah}:${from}-${to}, ${entries.length} recitations (${duration}s)`);
+      return {
+        planId,
+        surah,
+        from,
+        to,
+        reciter: reciter.id,
+        format,
+        bitrate,
+        repeat,
+        review,
+        reviewRepeat,
+        pause,
+        duration,
+        playlist: entries
+      };
+    });
+
+    res.json({ ...timings, audioUrl: `/api/hifz/plan/${planId}/audio` });
+  } catch (error) {
+    console.error('Error building hifz plan:', error);
+    res.status(error.code === 'AUDIO_UNAVAILABLE' ? 503 : 500).json({ error: `Failed to build hifz plan: ${error.message}` });
+  }
+});
+
+// A rendered plan's playlist
+app.get('/api/hifz/plan/:planId', (req, res) => {
+  const timingsPath = path.join(__dirname, 'generated', `hifz_${path.basename(req.params.planId)}.json`);
+  if (!fs.existsSync(timingsPath)) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+
+  const timings = fs.readJsonSync(timingsPath);
+  res.json({ ...timings, audioUrl: `/api/hifz/plan/${timings.planId}/audio` });
+});
+
+// A rendered plan's audio (Range requests supported)
+app.get('/api/hifz/plan/:planId/audio', (req, res) => {
+  const planId = path.basename(req.params.planId);
+  const timingsPath = path.join(__dirname, 'generated', `hifz_${planId}.json`);
+  if (!fs.existsSync(timingsPath)) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+
+  const formatInfo = RANGE_AUDIO_FORMATS[fs.readJsonSync(timingsPath).format];
+  const audioPath = path.join(__dirname, 'generated', `hifz_${planId}.${formatInfo.extension}`);
+  if (!fs.existsSync(audioPath)) {
+    return res.status(404).json({ error: 'Plan audio not found' });
+  }
+
+  res.sendFile(audioPath, { headers: { 'Content-Type': formatInfo.contentType } });
+});
+
+// Get verse audio
+app.get('/api/verse-audio/:surah/:ayah/:reciter', async (req, res) => {
+  try {
+    const { surah, ayah } = req.params;
+    
+    const reciter = reciters.resolveReciter(req.params.reciter);
+    if (!reciter) {
+      return res.status(400).json({ error: `Unknown reciter: ${req.params.reciter}` });
+    }
+
+    const audioUrl = reciters.getAyahAudioUrl(reciter, surah, ayah);
+    
+    res.json({ audioUrl });
+  } catch (error) {
+    console.error('Error getting verse audio:', error);
+    res.status(500).json({ error: 'Failed to get verse audio' });
+  }
+});
+
+const MAX_CONTENT_ITEMS = 50;
+const MAX_REPEAT = 100;
+const MIN_VIDEO_DURATION = 3; // seconds, the smallest maxDuration
+
+// Adhkar/dua content for /api/generate-video, used instead of surah/ayah when given.
+// Either a whole adhkar category (adhkarCategory=morning, optionally narrowed with
+// adhkar=id1,id2) or `items`: a JSON array of { dhikr, repeat } or
+// { arabic, translation, transliteration, title, repeat } entries.
+// Uploaded `audio` files go to the items in order when there's one per item;
+// otherwise an item picks its file with audioIndex. Items without audio are shown
+// for secondsPerRepeat (estimated from the text length when not given) in silence.
+// Returns { content } (null when the request is for Quran verses) or { error }.
+function parseContentItems(body, audioFiles) {
+  let entries;
+  let title = body.title || null;
+
+  if (body.adhkarCategory) {
+    const category = adhkar.getCategory(body.adhkarCategory);
+    if (!category) {
+      return { error: `Adhkar category ${body.adhkarCategory} not found` };
+    }
+    entries = category.items.map(item => ({ dhikr: item.id, repeat: item.repeat }));
+    if (body.adhkar) {
+      const wanted = String(body.adhkar).split(',').map(id => id.trim());
+      entries = entries.filter(entry => wanted.includes(entry.dhikr));
+    }
+    title = title || category.name;
+  } else if (body.items) {
+    try {
+      entries = typeof body.items === 'string' ? JSON.parse(body.items) : body.items;
+    } catch (error) {
+      return { error: 'Invalid items, expected a JSON array' };
+    }
+    if (!Array.isArray(entries)) {
+      return { error: 'Invalid items, expected a JSON array' };
+    }
+  } else {
+    return { content: null };
+  }
+
+  if (entries.length === 0 || entries.length > MAX_CONTENT_ITEMS) {
+    return { error: `Expected 1-${MAX_CONTENT_ITEMS} content items` };
+  }
+
+  const items = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i] || {};
+    let item;
+
+    if (entry.dhikr) {
+      const dhikr = adhkar.getDhikr(entry.dhikr);
+      if (!dhikr) {
+        return { error: `Dhikr ${entry.dhikr} not found` };
+      }
+      item = { ...dhikr };
+    } else if (typeof entry.arabic === 'string' && entry.arabic.trim()) {
+      item = {
+        title: entry.title || null,
+        arabic: entry.arabic.trim(),
+        translation: entry.translation ? String(entry.translation).trim() : null,
+        transliteration: entry.transliteration ? String(entry.transliteration).trim() : null,
+        source: entry.source || null
+      };
+    } else {
+      return { error: `Item ${i + 1} needs either a dhikr id or arabic text` };
+    }
+
+    const repeat = entry.repeat !== undefined ? parseInt(entry.repeat) : 1;
+    if (isNaN(repeat) || repeat < 1 || repeat > MAX_REPEAT) {
+      return { error: `Invalid repeat for item ${i + 1} (1-${MAX_REPEAT})` };
+    }
+
+    let secondsPerRepeat = null;
+    if (entry.secondsPerRepeat !== undefined) {
+      secondsPerRepeat = parseFloat(entry.secondsPerRepeat);
+      if (isNaN(secondsPerRepeat) || secondsPerRepeat < 0.5 || secondsPerRepeat > 120) {
+        return { error: `Invalid secondsPerRepeat for item ${i + 1} (0.5-120)` };
+      }
+    }
+
+    let audioFile = null;
+    if (entry.audioIndex !== undefined) {
+      audioFile = audioFiles[parseInt(entry.audioIndex)];
+      if (!audioFile) {
+        return { error: `Item ${i + 1} refers to missing audio file ${entry.audioIndex}` };
+      }
+    } else if (audioFiles.length === entries.length) {
+      audioFile = audioFiles[i];
+    }
+
+    items.push({
+      title: item.title,
+      arabic: item.arabic,
+      translation: item.translation,
+      transliteration: item.transliteration,
+      source: item.source,
+      quran: Boolean(item.quran), // catalogue adhkar that are Quran passages, in Uthmani script
+      repeat,
+      secondsPerRepeat,
+      audioPath: audioFile ? audioFile.path : null
+    });
+  }
+
+  if (audioFiles.length > 0 && !items.some(item => item.audioPath)) {
+    return { error: 'Upload one audio file per item, or set audioIndex on the items' };
+  }
+
+  return {
+    content: {
+      title: title || (items.length === 1 && items[0].title) || 'Dua',
+      showTransliteration: body.showTransliteration === true || body.showTransliteration === 'true',
+      items
+    }
+  };
+}
+
+// Generate video - validates the request and queues the render, poll /api/jobs/:id for the result.
+// Renders Quran verses (surah/ayah/ayahTo) or adhkar/dua content (see parseContentItems).
+app.post('/api/generate-video', acceptUploads(upload.fields([
+  { name: 'background', maxCount: 1 },
+  { name: 'audio', maxCount: MAX_CONTENT_ITEMS }
+])), async (req, res) => {
+  // Uploads of a rejected request are never going to be rendered
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      Object.values(req.files || {}).flat().forEach(file => fs.removeSync(file.path));
+    }
+  });
+
+  try {
+    console.log('Request body:', req.body);
+    const {
+      surah,
+      ayah,
+      ayahTo,
+      reciter,
+      backgroundType,
+      backgroundFilename,
+      backgroundId,
+      textColor,
+      fontSize,
+      fontFamily,
+      duration,
+      quality
+    } = req.body;
+    
+    console.log('Extracted values:');
+    console.log('reciter:', reciter);
+    console.log('backgroundType:', backgroundType);
+    console.log('backgroundFilename:', backgroundFilename);
+    console.log('backgroundId:', backgroundId);
+    console.log('fontFamily:', fontFamily);
+    console.log('fontSize:', fontSize);
+    console.log('textColor:', textColor);
+
+    const { content, error: contentError } = parseContentItems(req.body, (req.files && req.files.audio) || []);
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+
+    let surahNum, startVerse, endVerse;
+    let translationIds = [];
+    if (!content) {
+      surahNum = parseInt(surah);
+      startVerse = parseInt(ayah);
+      endVerse = ayahTo ? parseInt(ayahTo) : startVerse;
+      if (isNaN(surahNum) || isNaN(startVerse) || isNaN(endVerse)) {
+        return res.status(400).json({ error: 'Invalid surah or ayah numbers' });
+      }
+
+      const resolved = translations.resolveTranslationIds(req.body.translation);
+      if (resolved.unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown translation: ${resolved.unknown.join(', ')}` });
+      }
+      translationIds = resolved.ids;
+
+      if (!reciters.resolveReciter(reciter)) {
+        return res.status(400).json({ error: `Unknown reciter: ${reciter}` });
+      }
+
+      // Check the verse range up front so the client gets a proper error instead of a failed job
+      const surahData = quranData.data.surahs[surahNum - 1];
+      if (!surahData) {
+        return res.status(404).json({ error: `Surah ${surahNum} not found` });
+      }
+      for (let i = startVerse; i <= endVerse; i++) {
+        if (!surahData.ayahs[i - 1]) {
+          return res.status(404).json({ error: `Verse ${i} not found` });
+        }
+        for (const translationId of translationIds) {
+          if (!translations.getAyahTranslation(translationId, surahNum, i)) {
+            return res.status(404).json({ error: `Translation ${translationId} for verse ${i} not found` });
+          }
+        }
+      }
+    }
+
+    // Theme, Hijri date in the watermark and pagination, as for the previews
+    const { options: overlayOptions, error: overlayError } = parseOverlayOptions(req.body);
+    if (overlayError) {
+      return res.status(400).json({ error: overlayError });
+    }
+    const { theme, hijriDate, pagination } = overlayOptions;
+
+    // 16:9, 9:16, 1:1, 4:5 or any width x height, with the overlays kept clear of the
+    // platform's UI when a safe area is named
+    const { frame, error: frameError } = render.resolveFrame(req.body);
+    if (frameError) {
+      return res.status(400).json({ error: frameError });
+    }
+
+    // Output format (mp4, webm, gif, webp, m4a, mp3), quality tier (output resolution, CRF,
+    // preset, audio bitrate) and an optional maximum length in seconds, the verse range being
+    // cut short to fit; duration is its older name
+    const { settings: encodingSettings, error: qualityError } = encoding.resolveQuality(quality, frame, req.body.format);
+    if (qualityError) {
+      return res.status(400).json({ error: qualityError });
+    }
+    const outputFormat = encoding.OUTPUT_FORMATS[encodingSettings.format];
+    const softSubtitles = req.body.softSubtitles === true || req.body.softSubtitles === 'true';
+    if (softSubtitles && !outputFormat.subtitleCodec) {
+      return res.status(400).json({ error: `Soft subtitles are not available for ${encodingSettings.format}` });
+    }
+    const maxDurationValue = req.body.maxDuration !== undefined && req.body.maxDuration !== '' ? req.body.maxDuration : duration;
+    let maxDuration = null;
+    if (maxDurationValue !== undefined && maxDurationValue !== null && maxDurationValue !== '') {
+      maxDuration = parseFloat(maxDurationValue);
+      if (isNaN(maxDuration) || maxDuration < MIN_VIDEO_DURATION) {
+        return res.status(400).json({ error: `maxDuration must be at least ${MIN_VIDEO_DURATION} seconds` });
+      }
+    }
+    if (outputFormat.kind === 'animation') {
+      maxDuration = Math.min(maxDuration || encoding.ANIMATION_LIMITS.maxDuration, encoding.ANIMATION_LIMITS.maxDuration);
+    }
+
+    // Optional karaoke-style highlight of each word as it is recited (Quran verses only).
+    // Reciters without a word timings file in segments/ fall back to whole-ayah timing:
+    // each verse is highlighted as a whole while it is recited.
+    let highlightWords = null;
+    if (req.body.highlightWords === true || req.body.highlightWords === 'true') {
+      if (content) {
+        return res.status(400).json({ error: 'Word highlighting is only available for Quran verses' });
+      }
+      const color = req.body.highlightColor || '#FFD54F';
+      if (!/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)) {
+        return res.status(400).json({ error: 'highlightColor must be a hex colour such as #FFD54F' });
+      }
+      const reciterId = reciters.resolveReciter(reciter).id;
+      const timing = wordTimings.hasWordTimings(reciterId) ? 'word' : 'ayah';
+      if (timing === 'ayah') {
+        console.log(`⚠️ No word timings for reciter ${reciterId}, highlighting whole ayahs instead of words`);
+      }
+      highlightWords = { color, timing };
+    }
+
+    // An uploaded background (video or still image) wins over the library clips, picked by
+    // backgroundId or backgroundFilename, the first clip when neither is given. It is scaled
+    // and cropped to fill the frame, and a still may slowly pan and zoom (Ken Burns).
+    // Audio-only formats may go without one, their cover art is then on a plain colour.
+    let backgroundPath = null;
+    let background = null;
+    const uploadedBackground = req.files && req.files.background ? req.files.background[0] : null;
+    const kenBurns = req.body.kenBurns === true || req.body.kenBurns === 'true';
+    
+    if (uploadedBackground) {
+      const probed = await media.probeBackground(uploadedBackground.path, uploadedBackground.mimetype);
+      if (probed.error) {
+        return res.status(400).json({ error: probed.error });
+      }
+      background = probed.background;
+      backgroundPath = uploadedBackground.path;
+      console.log(`🖼️ Uploaded ${background.kind} background: ${background.codec} ${background.width}x${background.height}`);
+    } else if (backgroundId || backgroundFilename) {
+      backgroundPath = libraryBackgroundPath({ backgroundId, backgroundFilename });
+      if (!backgroundPath) {
+        return res.status(400).json({ error: `Unknown background: ${backgroundId || backgroundFilename}` });
+      }
+    } else if (outputFormat.kind !== 'audio') {
+      backgroundPath = libraryBackgroundPath({});
+      if (!backgroundPath) {
+        return res.status(400).json({ error: 'No video backgrounds available' });
+      }
+    }
+    
+    if (kenBurns && !(background && background.kind === 'image')) {
+      return res.status(400).json({ error: 'kenBurns is only available for an uploaded still image background' });
+    }
+
+    const job = videoQueue.add({
+      surah: surahNum,
+      ayah: startVerse,
+      ayahTo: endVerse,
+      reciter: content ? null : reciters.resolveReciter(reciter).id,
+      translationIds,
+      backgroundPath,
+      textColor,
+      fontSize,
+      fontFamily,
+      frame,
+      format: encodingSettings.format,
+      quality: encodingSettings.quality,
+      maxDuration,
+      content,
+      hijriDate,
+      highlightWords,
+      pagination,
+      theme,
+      softSubtitles,
+      background,
+      kenBurns,
+      uploadedFilePath: uploadedBackground ? uploadedBackground.path : null
+    });
+
+    console.log(`📥 Queued video job ${job.id} (position ${videoQueue.position(job.id)})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      videoId: job.id,
+      state: job.state,
+      settings: { ...encodingSettings, maxDuration },
+      highlightWords,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    console.error('Error queuing video:', error);
+    res.status(500).json({ error: 'Failed to generate video' });
+  }
+});
+
+// Get the status of a queued/running video or preview job
+app.get('/api/jobs/:id', (req, res) => {
+  const found = findJob(req.params.id);
+  if (!found) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(jobStatus(found.queue, found.job));
+});
+
+// Stream job progress as Server-Sent Events.
+// Sends the current status first, then state/audio-downloaded/overlay-rendered/progress
+// events as they happen, and closes after the terminal `done` or `failed` event.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const found = findJob(req.params.id);
+  if (!found) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const { queue, job } = found;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  send({ type: 'status', ...jobStatus(queue, job) });
+
+  if (job.state === 'done') {
+    send({ type: 'done', jobId: job.id, result: job.result });
+    return res.end();
+  }
+  if (job.state === 'failed') {
+    send({ type: 'failed', jobId: job.id, error: job.error, stderrTail: job.stderrTail });
+    return res.end();
+  }
+
+  // Keep proxies from closing an idle stream while a long encode runs
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const onEvent = (event) => {
+    send(event);
+    if (event.type === 'done' || event.type === 'failed') {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    queue.off(`job:${job.id}`, onEvent);
+  };
+
+  queue.on(`job:${job.id}`, onEvent);
+  req.on('close', cleanup);
+});
+
+// Silent MP3 of the given length, the audio for content items without a recitation
+function createSilence(outputPath, seconds) {
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input('anullsrc=r=44100:cl=stereo')
+      .inputFormat('lavfi')
+      .duration(seconds)
+      .audioCodec('libmp3lame')
+      .on('end', resolve)
+      .on('error', reject)
+      .save(outputPath);
+  });
+}
+
+// Join audio files end to end with FFmpeg's concat filter. The inputs are decoded, so
+// they may differ in codec, sample rate or channels; `configure` sets the output encoding
+// (without it FFmpeg picks one from the output file's extension).
+function concatAudio(inputPaths, outputPath, configure) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    inputPaths.forEach(inputPath => command.input(inputPath));
+    if (configure) configure(command);
+    command
+      .on('end', resolve)
+      .on('error', reject)
+      .mergeToFile(outputPath);
+  });
+}
+
+// Everything a video job leaves on disk besides its output: the temp files named after it
+// (audio segments, overlay layers, cover art) and, unless keepUploads, its uploaded
+// background and recitations
+function removeJobFiles(job, { keepUploads = false } = {}) {
+  const tempDir = path.join(__dirname, 'temp');
+  if (fs.existsSync(tempDir)) {
+    fs.readdirSync(tempDir)
+      .filter(file => file.startsWith(`${job.id}_`))
+      .forEach(file => fs.removeSync(path.join(tempDir, file)));
+  }
+  if (keepUploads) return;
+
+  const { uploadedFilePath, content } = job.params;
+  [uploadedFilePath, ...(content ? content.items.map(item => item.audioPath) : [])]
+    .filter(Boolean)
+    .forEach(filePath => fs.removeSync(filePath));
+}
+
+// A job's output and caption files in generated/ (<id>.mp4, <id>.<track>.srt, <id>.ass, ...)
+function removeJobOutput(job) {
+  const generatedDir = path.join(__dirname, 'generated');
+  if (!fs.existsSync(generatedDir)) return;
+  fs.readdirSync(generatedDir)
+    .filter(file => file.startsWith(`${job.id}.`))
+    .forEach(file => fs.removeSync(path.join(generatedDir, file)));
+}
+
+// Video render pipeline, run by the job queue: audio download -> overlays -> FFmpeg encode.
+// Its temp files and uploads are removed however the render ends, and a failed render's
+// partial output and captions with them.
+async function runVideoJob(job, update, notify) {
+  try {
+    return await renderVideo(job, update, notify);
+  } catch (error) {
+    removeJobOutput(job);
+    throw error;
+  } finally {
+    removeJobFiles(job);
+  }
+}
+
+async function renderVideo(job, update, notify) {
+  const {
+    surah,
+    ayah,
+    ayahTo,
+    reciter,
+    backgroundPath,
+    textColor,
+    fontSize,
+    fontFamily,
+    frame: requestedFrame,
+    orientation, // jobs queued before frames had aspect ratios
+    content,
+    hijriDate,
+    highlightWords,
+    pagination,
+    softSubtitles,
+    background, // probed upload, null for a library video
+    kenBurns,
+    format,
+    quality,
+    maxDuration,
+    translationIds = [translations.DEFAULT_TRANSLATION],
+    theme = themes.getTheme(themes.DEFAULT_THEME)
+  } = job.params;
+
+  const videoId = job.id;
+  const outputFormat = encoding.OUTPUT_FORMATS[format] || encoding.OUTPUT_FORMATS[encoding.DEFAULT_FORMAT];
+  const outputPath = path.join(__dirname, 'generated', `${videoId}.${outputFormat.extension}`);
+  // Audio path will be set after processing verse range
+  const tempImagePath = path.join(__dirname, 'temp', `${videoId}_background.jpg`);
+
+  // Get verse text and translation - handle verse ranges
+  const startVerse = parseInt(ayah);
+  const endVerse = ayahTo ? parseInt(ayahTo) : startVerse;
+  
+  // Store individual verses (or adhkar/dua items) for sequential display
+  const verses = [];
+  
+  if (content) {
+    content.items.forEach((item, index) => {
+      verses.push({ number: index + 1, text: item.arabic, item });
+    });
+    console.log(`📿 ${verses.length} content item(s) loaded for "${content.title}"`);
+  } else {
+    for (let i = startVerse; i <= endVerse; i++) {
+      const verse = quranData.data.surahs[surah - 1].ayahs[i - 1];
+      if (!verse) {
+        throw new Error(`Verse ${i} not found`);
+      }
+      verses.push({ number: i, text: verse.text });
+    }
+    
+    console.log(`📖 Verse range ${startVerse}-${endVerse} loaded: ${verses.length} verses`);
+  }
+  
+  // For sequential display, we'll create individual text overlays for each verse
+  // But first, let's process each verse's text individually
+  for (let i = 0; i < verses.length; i++) {
+    let verseText = verses[i].text;
+    
+    // Apply Unicode normalization and the hamza/alif fixes for better rendering. The fixes
+    // are for the Uthmani spelling, so other adhkar and user-supplied text is only normalized.
+    verseText = content && !verses[i].item.quran ? verseText.normalize('NFC') : prepareArabicForDisplay(verseText);
+    
+    verses[i].processedText = verseText;
+  }
+  
+  // Load the selected translations for all verses (empty when translation=none).
+  // Content items carry their own translation, plus the transliteration when asked for.
+  for (let i = 0; i < verses.length; i++) {
+    const verseNumber = verses[i].number;
+    if (content) {
+      const { item } = verses[i];
+      const texts = [
+        content.showTransliteration && item.transliteration && { id: 'transliteration', label: 'Transliteration', text: item.transliteration },
+        item.translation && { id: 'translation', label: 'Translation', text: item.translation }
+      ].filter(Boolean);
+      verses[i].translations = texts.map(({ id, label, text }) => {
+        const direction = hasArabic(text) ? 'rtl' : 'ltr';
+        const font = render.translationFont(theme, { font: direction === 'rtl' ? 'Amiri' : 'Arial', direction });
+        return { id, label, language: 'und', text, font, direction };
+      });
+      continue;
+    }
+    verses[i].translations = verseTranslations(translationIds, surah, verseNumber, theme);
+  }
+  
+  console.log(`🎬 Creating sequential video for ${verses.length} verses with individual timing`);
+  
+  // Audio download will happen first, then we'll create verse timings and overlays
+  
+  // Download audio - handle verse ranges
+  const audioFiles = [];
+  for (let i = startVerse; i <= endVerse; i++) {
+    const surahStr = surah.toString().padStart(3, '0');
+    const ayahStr = i.toString().padStart(3, '0');
+    audioFiles.push({ verse: i, surahStr, ayahStr });
+  }
+  
+  console.log(`Downloading ${audioFiles.length} audio file(s) for verses ${startVerse}-${endVerse}`);
+  
+  // Jobs are validated when queued, but a persisted job may predate a registry change
+  const reciterEntry = reciters.resolveReciter(reciter);
+  if (!content && !reciterEntry) {
+    throw new Error(`Unknown reciter: ${reciter}`);
+  }
+  
+  // Download audio for all verses in range and get their durations
+  update({ state: 'downloading-audio' });
+  const audioSegments = [];
+  
+  if (content) {
+    // Uploaded recitation per item, or silence long enough to read the text
+    for (const verse of verses) {
+      const { item } = verse;
+      let segmentPath = item.audioPath;
+      let repeatDuration;
+      
+      if (segmentPath) {
+        repeatDuration = await new Promise((resolve, reject) => {
+          ffmpeg.ffprobe(segmentPath, (err, metadata) => {
+            if (err) reject(new Error(`Uploaded audio for item ${verse.number} is not a readable audio file`));
+            else resolve(metadata.format.duration);
+          });
+        });
+      } else {
+        repeatDuration = item.secondsPerRepeat || Math.max(2, item.arabic.split(/\s+/).length * 0.5);
+        segmentPath = path.join(__dirname, 'temp', `${videoId}_silence_${verse.number}.mp3`);
+        await createSilence(segmentPath, repeatDuration);
+      }
+      
+      audioSegments.push({
+        verse: verse.number,
+        path: segmentPath,
+        duration: repeatDuration * item.repeat,
+        repeat: item.repeat,
+        repeatDuration,
+        arabicText: verse.processedText,
+        translations: verse.translations
+      });
+      
+      console.log(`Item ${verse.number}: ${item.repeat} x ${repeatDuration.toFixed(2)} seconds`);
+      notify('audio-downloaded', { verse: verse.number, duration: repeatDuration * item.repeat, completed: audioSegments.length, total: verses.length });
+    }
+  } else {
+    for (const verse of verses) {
+      const verseAudioUrl = reciters.getAyahAudioUrl(reciterEntry, surah, verse.number);
+      const tempVerseAudioPath = path.join(__dirname, 'temp', `${videoId}_audio_${verse.number}.mp3`);
+    
+      console.log(`Fetching audio for verse ${verse.number} (cached or from ${verseAudioUrl})`);
+    
+      try {
+        // Work on a copy, the cached file may be evicted while this job runs
+        const cachedAudioPath = await audioCache.getAyahAudio(reciterEntry, surah, verse.number);
+        fs.copyFileSync(cachedAudioPath, tempVerseAudioPath);
+        console.log(`Audio ready for verse ${verse.number}:`, tempVerseAudioPath);
+      
+        // Get audio duration for this verse
+        const duration = await new Promise((resolve, reject) => {
           ffmpeg.ffprobe(tempVerseAudioPath, (err, metadata) => {
             if (err) reject(err);
             else resolve(metadata.format.duration);
           });
         });
-        
+      
         audioSegments.push({
           verse: verse.number,
           path: tempVerseAudioPath,
           duration: duration,
           arabicText: verse.processedText,
-          translation: verse.translation
+          translations: verse.translations
         });
-        
+      
         console.log(`Verse ${verse.number} audio duration: ${duration} seconds`);
+        notify('audio-downloaded', { verse: verse.number, duration, completed: audioSegments.length, total: verses.length });
       } catch (error) {
         console.error(`Error downloading audio for verse ${verse.number}:`, error.message);
-        return res.status(500).json({ error: `Failed to download audio for verse ${verse.number}` });
+        throw new Error(`Failed to download audio for verse ${verse.number}: ${error.message}`);
       }
     }
-    
-    // Concatenate all audio files
-    const finalAudioPath = path.join(__dirname, 'temp', `${videoId}_audio.mp3`);
-    
-          if (audioSegments.length === 1) {
-        // Single verse - just rename the file
-        fs.renameSync(audioSegments[0].path, finalAudioPath);
-    } else {
-      // Multiple verses - concatenate them
-      console.log('Concatenating audio files...');
-      const audioConcat = ffmpeg();
-      audioSegments.forEach(segment => {
-        audioConcat.input(segment.path);
-      });
-      
-      await new Promise((resolve, reject) => {
-        audioConcat
-          .on('end', () => {
-            console.log('Audio concatenation completed');
-            // Clean up individual audio files
-            audioSegments.forEach(segment => {
-              if (fs.existsSync(segment.path)) {
-                fs.unlinkSync(segment.path);
-              }
-            });
-            resolve();
-          })
-          .on('error', reject)
-          .mergeToFile(finalAudioPath);
-      });
-    }
-
-    // Now that we have all audio segments with durations, calculate verse timings
-    console.log(`🎬 Creating sequential display for ${audioSegments.length} verses`);
-    
-    let cumulativeTime = 0;
-    const verseTimings = [];
-    
-    // Calculate timing for each verse based on audio durations
-    for (let i = 0; i < audioSegments.length; i++) {
-      const segment = audioSegments[i];
-      const startTime = cumulativeTime;
-      const endTime = cumulativeTime + segment.duration;
-      
-      verseTimings.push({
-        verse: segment.verse,
-        startTime: startTime,
-        endTime: endTime,
-        duration: segment.duration,
-        arabicText: segment.arabicText,
-        translation: segment.translation
-      });
-      
-      cumulativeTime = endTime;
-      console.log(`📍 Verse ${segment.verse}: ${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s (${segment.duration.toFixed(2)}s)`);
-    }
-    
-    console.log(`🕐 Total video duration: ${cumulativeTime.toFixed(2)} seconds`);
-
-    // Get video background path (videos only)
-    let backgroundPath;
-    let isVideoBackground = true; // Always video now
-    
-    if (backgroundType === 'video' && backgroundFilename) {
-      backgroundPath = path.join(__dirname, 'videos', backgroundFilename);
-    } else {
-      // Fallback - use first available video
-      const videoDir = path.join(__dirname, 'videos');
-      if (fs.existsSync(videoDir)) {
-        const videoFiles = fs.readdirSync(videoDir).filter(f => f.match(/\.(mp4|webm|mov|avi)$/i));
-        if (videoFiles.length > 0) {
-          backgroundPath = path.join(videoDir, videoFiles[0]);
-        } else {
-          return res.status(400).json({ error: 'No video backgrounds available' });
+  }
+  
+  // With a maximum duration only the verses (or items) that fit are kept. The first one
+  // always is, and when it is too long by itself the video is cut at the maximum with the
+  // recitation faded out (a repeated item keeping only the repetitions that start by then).
+  // Items may share an uploaded recitation, so only audio no kept item uses is removed.
+  let cutAt = null;
+  if (maxDuration) {
+    let total = 0;
+    const firstOver = audioSegments.findIndex(segment => (total += segment.duration) > maxDuration);
+    if (firstOver !== -1) {
+      const dropped = audioSegments.splice(Math.max(1, firstOver));
+      const keptPaths = new Set(audioSegments.map(segment => segment.path));
+      dropped.filter(segment => !keptPaths.has(segment.path)).forEach(segment => fs.removeSync(segment.path));
+      if (firstOver === 0) {
+        const first = audioSegments[0];
+        cutAt = maxDuration;
+        first.duration = maxDuration;
+        if (first.repeat) {
+          first.repeat = Math.ceil(maxDuration / first.repeatDuration);
+          first.repeatDuration = Math.min(first.repeatDuration, maxDuration);
         }
-      } else {
-        return res.status(400).json({ error: 'Videos directory not found' });
       }
+      console.log(`✂️ Trimmed to fit ${maxDuration}s: ${audioSegments.length} of ${verses.length} kept${cutAt ? ', cut short' : ''}`);
     }
+  }
 
-    console.log('Background path:', backgroundPath);
-    console.log('Starting video generation with FFmpeg...');
-    console.log('Audio path:', finalAudioPath);
-    const tempAudioPath = finalAudioPath; // For compatibility with existing code
-    console.log('Output path:', outputPath);
-    
-    // Set environment variables to avoid fontconfig issues on Windows
-    process.env.FONTCONFIG_PATH = '';
-    process.env.FONTCONFIG_FILE = '';
+  // Concatenate all audio files
+  const finalAudioPath = path.join(__dirname, 'temp', `${videoId}_audio.mp3`);
+  
+        if (audioSegments.length === 1 && !content) {
+      // Single verse - just rename the file
+      fs.renameSync(audioSegments[0].path, finalAudioPath);
+  } else {
+    // Multiple verses - concatenate them. Content items play once per repetition,
+    // and always go through here so uploaded audio of any format ends up as MP3.
+    console.log('Concatenating audio files...');
+    const inputPaths = [];
+    audioSegments.forEach(segment => {
+      for (let r = 0; r < (segment.repeat || 1); r++) {
+        inputPaths.push(segment.path);
+      }
+    });
     
-    // Get audio duration first to ensure exact video length
-    console.log('Getting audio duration...');
-    const audioDuration = await new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(tempAudioPath, (err, metadata) => {
-        if (err) {
-          console.error('Error getting audio duration:', err);
-          reject(err);
-        } else {
-          const duration = metadata.format.duration;
-          console.log('Audio duration:', duration, 'seconds');
-          resolve(duration);
-        }
-      });
+    await concatAudio(inputPaths, finalAudioPath);
+    console.log('Audio concatenation completed');
+    // Clean up individual audio files
+    audioSegments.forEach(segment => {
+      if (fs.existsSync(segment.path)) {
+        fs.unlinkSync(segment.path);
+      }
     });
+  }
 
-    // Create video with FFmpeg - with scale filter to ensure H.264 compatibility
-    console.log('Creating FFmpeg command...');
-    let command = ffmpeg();
-    
-    // Handle background input with proper looping
-    if (!isVideoBackground) {
-      // For images, loop and set duration to match audio
-      command = command.input(backgroundPath).inputOptions(['-loop', '1', `-t`, `${audioDuration}`]);
-    } else {
-      // For videos, loop the video to match audio duration
-      command = command.input(backgroundPath).inputOptions(['-stream_loop', '-1', `-t`, `${audioDuration}`]);
-    }
-    
-    command = command.input(tempAudioPath)
-      .outputOptions([
-        '-c:v libx264',
-        '-preset medium',
-        '-crf 18',
-        '-c:a aac',
-        '-b:a 192k',
-        '-pix_fmt yuv420p',
-        '-movflags +faststart'
-      ])
-      .output(outputPath);
-    
-    // Determine video dimensions based on orientation
-    const selectedOrientation = orientation || 'landscape';
-    let videoWidth, videoHeight;
-    
-    switch (selectedOrientation) {
-      case 'portrait':
-        videoWidth = 1080;
-        videoHeight = 1920;
-        break;
-      case 'landscape':
-      default:
-        videoWidth = 1920;
-        videoHeight = 1080;
-        break;
-    }
+  // Now that we have all audio segments with durations, calculate verse timings
+  console.log(`🎬 Creating sequential display for ${audioSegments.length} verses`);
+  
+  let cumulativeTime = 0;
+  const verseTimings = [];
+  
+  // Calculate timing for each verse based on audio durations
+  for (let i = 0; i < audioSegments.length; i++) {
+    const segment = audioSegments[i];
+    const startTime = cumulativeTime;
+    const endTime = cumulativeTime + segment.duration;
+    
+    verseTimings.push({
+      verse: segment.verse,
+      startTime: startTime,
+      endTime: endTime,
+      duration: segment.duration,
+      repeat: segment.repeat || 1,
+      repeatDuration: segment.repeatDuration || segment.duration,
+      arabicText: segment.arabicText,
+      translations: segment.translations
+    });
     
-    console.log('Video orientation:', selectedOrientation);
-    console.log('Video dimensions:', `${videoWidth}x${videoHeight}`);
+    cumulativeTime = endTime;
+    console.log(`📍 Verse ${segment.verse}: ${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s (${segment.duration.toFixed(2)}s)`);
+  }
+  
+  console.log(`🕐 Total video duration: ${cumulativeTime.toFixed(2)} seconds`);
 
-      // Create text overlay images using Canvas with responsive sizing
-  // Scale font size based on video height for better readability
-  const baseFontSize = fontSize || Math.floor(videoHeight * 0.045); // 4.5% of video height
-  const textColorValue = textColor || '#ffffff';
-    
-    // Calculate responsive dimensions for text areas
-    const maxTextWidth = Math.floor(videoWidth * 0.85); // 85% of video width
-    const arabicTextHeight = Math.floor(videoHeight * 0.2); // 20% for Arabic
-    const translationTextHeight = Math.floor(videoHeight * 0.15); // 15% for translation
-    
-    console.log(`Text constraints - Width: ${maxTextWidth}, Arabic height: ${arabicTextHeight}, Translation height: ${translationTextHeight}`);
-    
-    // Function to calculate optimal font size and handle text wrapping
-    function calculateOptimalTextSize(text, fontFamily, baseSize, maxWidth, maxHeight) {
-      console.log('📏 calculateOptimalTextSize called with:');
-      console.log(`Text: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
-      console.log(`Font: ${fontFamily}, Size: ${baseSize}, MaxWidth: ${maxWidth}, MaxHeight: ${maxHeight}`);
-      
-      const tempCanvas = createCanvas(100, 100);
-      const tempCtx = tempCanvas.getContext('2d');
-      
-      let optimalSize = baseSize;
-      let lines = [text]; // Start with single line
-      
-      // Test font sizes from base down to minimum
-      for (let size = baseSize; size >= 16; size -= 2) {
-        tempCtx.font = `${size}px "${fontFamily}"`;
-        
-        // Try single line first
-        const singleLineWidth = tempCtx.measureText(text).width;
-        const lineHeight = size * 1.3;
-        
-        if (singleLineWidth <= maxWidth && lineHeight <= maxHeight) {
-          optimalSize = size;
-          lines = [text];
-          break;
-        }
-        
-        // Try text wrapping for both Arabic and non-Arabic text
-        // Check if text contains Arabic characters
-        const hasArabic = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/.test(text);
-        
-        console.log(`📝 ${hasArabic ? 'Arabic' : 'Non-Arabic'} text detected, attempting wrapping at size ${size}px`);
-        
-        // For both Arabic and non-Arabic text, use word wrapping
-        const words = text.split(' ');
-        if (words.length > 1) {
-          const wrappedLines = [];
-          let currentLine = '';
-          
-          for (const word of words) {
-            const testLine = currentLine ? `${currentLine} ${word}` : word;
-            const testWidth = tempCtx.measureText(testLine).width;
-            
-            if (testWidth <= maxWidth) {
-              currentLine = testLine;
-            } else {
-              if (currentLine) wrappedLines.push(currentLine);
-              currentLine = word;
-            }
-          }
-          if (currentLine) wrappedLines.push(currentLine);
-          
-          const totalHeight = wrappedLines.length * lineHeight;
-          if (totalHeight <= maxHeight) {
-            optimalSize = size;
-            lines = wrappedLines;
-            break;
-          }
-        }
+  const isImageBackground = Boolean(background && background.kind === 'image');
+  
+  console.log('Background path:', backgroundPath, isImageBackground ? '(still image)' : '(video)');
+  console.log('Starting video generation with FFmpeg...');
+  console.log('Audio path:', finalAudioPath);
+  const tempAudioPath = finalAudioPath; // For compatibility with existing code
+  console.log('Output path:', outputPath);
+  
+  // Set environment variables to avoid fontconfig issues on Windows
+  process.env.FONTCONFIG_PATH = '';
+  process.env.FONTCONFIG_FILE = '';
+  
+  // Get audio duration first to ensure exact video length
+  console.log('Getting audio duration...');
+  const fullAudioDuration = await new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(tempAudioPath, (err, metadata) => {
+      if (err) {
+        console.error('Error getting audio duration:', err);
+        reject(err);
+      } else {
+        const duration = metadata.format.duration;
+        console.log('Audio duration:', duration, 'seconds');
+        resolve(duration);
       }
-      
-      console.log(`Calculated optimal size for "${text.substring(0, 30)}...": ${optimalSize}px, lines: ${lines.length}`);
-      if (lines.length > 1) {
-        console.log('Text wrapped into lines:', lines.map(line => `"${line.substring(0, 20)}..."`));
+    });
+  });
+  const audioDuration = cutAt ? Math.min(cutAt, fullAudioDuration) : fullAudioDuration;
+
+  // Frame size, fonts and text sizes come from the layout shared with the previews
+  const frame = requestedFrame || render.resolveFrame({ orientation }).frame;
+  const { width: videoWidth, height: videoHeight } = frame;
+  const layout = render.createLayout({ ...frame, theme, fontFamily, textColor, fontSize });
+  // Jobs queued before quality tiers and output formats get the default ones
+  const { settings: encodingSettings } = encoding.resolveQuality(
+    encoding.QUALITY_TIERS[quality] ? quality : null,
+    frame,
+    encoding.OUTPUT_FORMATS[format] ? format : null
+  );
+  const lastVerse = verseTimings[verseTimings.length - 1].verse;
+
+  function jobResult() {
+    return {
+      videoId,
+      downloadUrl: `/api/download/${videoId}`,
+      shareUrl: `/api/share/${videoId}`,
+      captionsUrl: outputFormat.kind === 'audio' ? null : `/api/download/${videoId}/captions`,
+      settings: {
+        ...encodingSettings,
+        maxDuration: maxDuration || null,
+        duration: audioDuration,
+        trimmed: audioSegments.length < verses.length || Boolean(cutAt),
+        ayahTo: content ? null : lastVerse
       }
-      return { fontSize: optimalSize, lines: lines };
-    }
-    
-    // Map user-friendly font names to correct internal names (with system font fallbacks)
-    const fontMapping = {
-      'Al Mushaf': 'Al Majeed Quranic Font',
-      'Uthmanic Hafs': 'KFGQPC HAFS Uthmanic Script'
-    };
-    
-    // Fallback mapping to system fonts if custom fonts fail
-    const systemFontFallback = {
-      'KFGQPC HAFS Uthmanic Script': 'Traditional Arabic',
-      'Al Majeed Quranic Font': 'Arabic Typesetting',
-      'KFGQPC Uthman Taha Naskh': 'Tahoma',
-      'KFGQPC Uthmanic Script HAFS': 'Segoe UI'
     };
-    
-    const requestedFont = fontFamily || 'Uthmanic Hafs';
-    let selectedFont = fontMapping[requestedFont] || requestedFont;
-    
-    console.log('Raw fontFamily from request:', fontFamily);
-    console.log('Requested font (user-friendly):', requestedFont);
-    console.log('Selected font (internal name):', selectedFont, 'Base size:', baseFontSize);
-    
-    // List available fonts for debugging
-    const availableFonts = Object.keys(fontMapping);
-    console.log('Available user-friendly fonts:', availableFonts);
-    console.log('Font mapping found:', !!fontMapping[requestedFont]);
-    console.log('Will try custom font:', selectedFont);
-    
-    // Use the font mapping directly without testing - trust node-canvas registration
-    console.log(`✅ Using mapped font: ${selectedFont} (from ${requestedFont})`)
-    
-    // Create individual text overlays for each verse
-    const verseOverlays = [];
-    
-    // Use first verse to determine optimal font sizing for consistency
-    const firstVerse = verseTimings[0];
-    const arabicTextData = calculateOptimalTextSize(firstVerse.arabicText, selectedFont, baseFontSize, maxTextWidth, arabicTextHeight);
-    const translationTextData = calculateOptimalTextSize(firstVerse.translation, 'Arial', Math.floor(baseFontSize * 0.7), maxTextWidth, translationTextHeight);
-    
-    console.log(`📏 Using consistent font sizes: Arabic ${arabicTextData.fontSize}px, Translation ${translationTextData.fontSize}px`);
-    
-    // Create text overlays for each verse
-    for (let i = 0; i < verseTimings.length; i++) {
-      const timing = verseTimings[i];
-      const verseNum = timing.verse;
-      
-      const tempArabicTextPath = path.join(__dirname, 'temp', `${videoId}_arabic_v${verseNum}.png`);
-      const tempTranslationTextPath = path.join(__dirname, 'temp', `${videoId}_translation_v${verseNum}.png`);
-      const tempBlackOverlayPath = path.join(__dirname, 'temp', `${videoId}_black_overlay_v${verseNum}.png`);
-      
-      console.log(`🎨 Creating text overlays for verse ${verseNum}`);
-      
-      // Pre-calculate Arabic text wrapping FIRST (needed for both overlay sizing and text drawing)
-      const arabicCtxTemp = createCanvas(100, 100).getContext('2d');
-      arabicCtxTemp.font = `${arabicTextData.fontSize}px "${selectedFont}"`;
-      
-      const arabicWords = timing.arabicText.split(' ');
-      const arabicWrappedLines = [];
-      let currentArabicLine = '';
-      
-      for (const word of arabicWords) {
-        const testLine = currentArabicLine ? `${currentArabicLine} ${word}` : word;
-        const testWidth = arabicCtxTemp.measureText(testLine).width;
-        
-        if (testWidth <= maxTextWidth || !currentArabicLine) {
-          currentArabicLine = testLine;
-        } else {
-          arabicWrappedLines.push(currentArabicLine);
-          currentArabicLine = word;
-        }
+  }
+
+  // Audio-only formats have no picture to draw: the recitation is encoded on its own,
+  // tagged, with the verse card over the background as its cover art
+  if (outputFormat.kind === 'audio') {
+    const surahName = content ? null : quranData.data.surahs[surah - 1].englishName;
+    await encodeAudioFile({
+      videoId,
+      audioPath: tempAudioPath,
+      outputPath,
+      settings: encodingSettings,
+      cutAt: cutAt ? audioDuration : null,
+      tags: content
+        ? { title: content.title, genre: 'Dhikr' }
+        : {
+          title: verseRangeTitle(surah, startVerse, lastVerse),
+          artist: reciterEntry.name,
+          album: `${surah}. ${surahName}`,
+          track: startVerse,
+          genre: 'Quran',
+          surah,
+          ayahs: lastVerse > startVerse ? `${startVerse}-${lastVerse}` : `${startVerse}`,
+          reciter: reciterEntry.id
+        },
+      card: content ? null : {
+        surah,
+        ayah: startVerse,
+        ayahTo: Math.min(lastVerse, startVerse + MAX_IMAGE_AYAHS - 1),
+        translationIds,
+        ...render.IMAGE_SIZES.square,
+        format: 'jpeg',
+        background: !backgroundPath
+          ? { type: 'color', color: DEFAULT_IMAGE_COLOR, gradientTo: null }
+          : isImageBackground ? { type: 'image', path: backgroundPath } : { type: 'video', path: backgroundPath, time: 0 },
+        textColor,
+        fontSize,
+        fontFamily,
+        theme,
+        hijriDate
       }
-      if (currentArabicLine) arabicWrappedLines.push(currentArabicLine);
-      
-      console.log(`📏 Arabic text will wrap to ${arabicWrappedLines.length} lines for verse ${verseNum}`);
-      
-      // Create Arabic text image for this verse
-      const arabicCanvas = createCanvas(videoWidth, arabicTextHeight);
-      const arabicCtx = arabicCanvas.getContext('2d');
-      
-      // Set font and style for Arabic text
-      arabicCtx.font = `${arabicTextData.fontSize}px "${selectedFont}"`;
-      arabicCtx.fillStyle = textColorValue;
-      arabicCtx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
-      arabicCtx.lineWidth = 2;
-      arabicCtx.textAlign = 'center';
-      arabicCtx.textBaseline = 'middle';
-      
-      // Draw Arabic text using pre-calculated wrapped lines
-      const lineHeight = arabicTextData.fontSize * 1.3;
-      const totalHeight = arabicWrappedLines.length * lineHeight;
-      const startY = (arabicTextHeight - totalHeight) / 2 + lineHeight / 2;
-      
-      console.log(`🎨 Drawing ${arabicWrappedLines.length} lines of Arabic text, total height: ${totalHeight}px`);
-      
-      arabicWrappedLines.forEach((line, index) => {
-        const y = startY + (index * lineHeight);
-        arabicCtx.strokeText(line, videoWidth / 2, y);
-        arabicCtx.fillText(line, videoWidth / 2, y);
-      });
-      
-      // Save Arabic text image
-      const arabicBuffer = arabicCanvas.toBuffer('image/png');
-      fs.writeFileSync(tempArabicTextPath, arabicBuffer);
-      
-      // Create translation text image for this verse
-      const translationCanvas = createCanvas(videoWidth, translationTextHeight);
-      const translationCtx = translationCanvas.getContext('2d');
-      
-      // Calculate translation text with proper wrapping
-      const translationData = calculateOptimalTextSize(timing.translation, 'Arial', translationTextData.fontSize, maxTextWidth, translationTextHeight);
-      
-      translationCtx.font = `${translationData.fontSize}px "Arial"`;
-      translationCtx.fillStyle = textColorValue;
-      translationCtx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
-      translationCtx.lineWidth = 2;
-      translationCtx.textAlign = 'center';
-      translationCtx.textBaseline = 'middle';
-      
-      // Draw translation text (multi-line)
-      const translationLineHeight = translationData.fontSize * 1.3;
-      const totalTranslationHeight = translationData.lines.length * translationLineHeight;
-      const translationStartY = (translationTextHeight - totalTranslationHeight) / 2 + translationLineHeight / 2;
-      
-      translationData.lines.forEach((line, index) => {
-        const y = translationStartY + (index * translationLineHeight);
-        translationCtx.strokeText(line, videoWidth / 2, y);
-        translationCtx.fillText(line, videoWidth / 2, y);
-      });
-      
-      // Save translation text image
-      const translationBuffer = translationCanvas.toBuffer('image/png');
-      fs.writeFileSync(tempTranslationTextPath, translationBuffer);
-      
-      // Create rounded black overlay for this verse
-      const blackOverlayCanvas = createCanvas(videoWidth, videoHeight);
-      const blackOverlayCtx = blackOverlayCanvas.getContext('2d');
-      
-      // Calculate overlay dimensions based on pre-calculated text wrapping
-      // Use the arabicWrappedLines calculated at the beginning of the loop
-      const arabicHeight = arabicTextData.fontSize * 1.3 * arabicWrappedLines.length;
-      const translationHeight = translationTextData.fontSize * 1.3 * translationData.lines.length;
-      const textGap = 20; // Small gap between texts
-      const totalContentHeight = arabicHeight + translationHeight + textGap;
-      
-      // Background overlay dimensions - calculate to match actual text positioning
-      const overlayPadding = 60; // Increased padding for better coverage
-      const overlayWidth = videoWidth * 0.9; // Slightly wider for better coverage
-      
-      // Calculate overlay position to match where text will actually be drawn
-      const extraGap = Math.floor(videoHeight * 0.05); // Same gap used in positioning
-      const arabicOffset = Math.floor(arabicHeight / 2) + extraGap;
-      const translationOffset = Math.floor(translationHeight / 2) + extraGap;
-      
-      // Overlay should cover from top of Arabic text to bottom of translation text
-      const overlayTopY = (videoHeight / 2) - arabicOffset - (arabicHeight / 2) - overlayPadding;
-      const overlayBottomY = (videoHeight / 2) + translationOffset + (translationHeight / 2) + overlayPadding;
-      const overlayHeight = overlayBottomY - overlayTopY;
-      
-      const overlayX = (videoWidth - overlayWidth) / 2;
-      const overlayY = overlayTopY;
-      
-      // Clear background (transparent)
-      blackOverlayCtx.clearRect(0, 0, videoWidth, videoHeight);
-      
-      // Draw rounded black overlay
-      blackOverlayCtx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-      blackOverlayCtx.beginPath();
-      blackOverlayCtx.roundRect(overlayX, overlayY, overlayWidth, overlayHeight, 25);
-      blackOverlayCtx.fill();
-      
-      // Save black overlay image
-      const blackOverlayBuffer = blackOverlayCanvas.toBuffer('image/png');
-      fs.writeFileSync(tempBlackOverlayPath, blackOverlayBuffer);
-      
-      console.log(`🎯 Verse ${verseNum} overlay: ${overlayWidth}x${overlayHeight} at (${overlayX}, ${overlayY})`);
+    }, update, notify);
+    return jobResult();
+  }
+  
+  console.log('Video dimensions:', `${videoWidth}x${videoHeight}`, `(safe area: ${frame.safeArea})`);
+  console.log(`🎚️ Quality ${encodingSettings.quality}: ${encodingSettings.width}x${encodingSettings.height}, CRF ${encodingSettings.crf}, preset ${encodingSettings.preset}`);
+  console.log(`✅ Using font: ${layout.arabicFont} (from ${fontFamily || theme.arabicFont}), base size ${layout.baseFontSize}px`);
+  
+  // Create individual text overlays for each verse
+  update({ state: 'rendering-overlays' });
+  
+  // Use first verse to determine optimal font sizing for consistency. With pagination the
+  // text keeps a readable size and a long ayah is shown as several screens within its audio.
+  render.sizeText(layout, verseTimings[0], pagination);
+  console.log(`📏 Using consistent font sizes: Arabic ${layout.arabicFontSize}px, Translation ${layout.translationFontSize}px`);
+  
+  // When each page starts, in seconds from the start of (one repetition of) the verse:
+  // at its first timed word when there are word timings for every page, otherwise in
+  // proportion to the number of words before it
+  function pageOffsets(pages, tokenCount, repeatDuration, verseWordTimings) {
+    const timedStarts = pages.map((page, index) => {
+      const pageEnd = index + 1 < pages.length ? pages[index + 1].tokenOffset : tokenCount;
+      const firstTimed = (verseWordTimings || []).find(wordTiming =>
+        wordTiming.tokens.some(token => token >= page.tokenOffset && token < pageEnd)
+      );
+      return firstTimed ? Math.min(firstTimed.start, repeatDuration) : null;
+    });
+    const starts = timedStarts.every(start => start !== null)
+      ? timedStarts.map((start, index) => (index === 0 ? 0 : start))
+      : pages.map(page => repeatDuration * page.tokenOffset / tokenCount);
+    return starts.map((start, index) => ({ start, end: index + 1 < starts.length ? starts[index + 1] : repeatDuration }));
+  }
+  
+  // The screens to render: one per verse, or one per page of a paginated verse. A page of a
+  // repeated adhkar item comes back in every repetition, hence a list of display windows.
+  const screens = [];
+  verseTimings.forEach(timing => {
+    const verseWordTimings = !content && (highlightWords || pagination)
+      ? wordTimings.getWordTimings(reciter, surah, timing.verse, timing.arabicText)
+      : null;
+    const pages = pagination
+      ? render.splitIntoPages(layout, timing)
+      : [{ tokenOffset: 0, arabicText: timing.arabicText, translations: timing.translations }];
+    const offsets = pageOffsets(pages, timing.arabicText.split(' ').length, timing.repeatDuration, verseWordTimings);
+    
+    pages.forEach((page, pageIndex) => {
+      const windows = pages.length === 1
+        ? [[timing.startTime, timing.endTime]]
+        : Array.from({ length: timing.repeat }, (_, r) => {
+          const repeatStart = timing.startTime + r * timing.repeatDuration;
+          return [repeatStart + offsets[pageIndex].start, repeatStart + offsets[pageIndex].end];
+        });
       
-      // Store overlay info for FFmpeg processing (including actual line count for positioning)
-      verseOverlays.push({
-        verse: verseNum,
-        startTime: timing.startTime,
-        endTime: timing.endTime,
-        arabicPath: tempArabicTextPath,
-        translationPath: tempTranslationTextPath,
-        blackOverlayPath: tempBlackOverlayPath,
-        arabicLineCount: arabicWrappedLines.length // Store actual line count
+      screens.push({
+        ...timing,
+        ...page,
+        page: pageIndex + 1,
+        pageCount: pages.length,
+        verseStartTime: timing.startTime,
+        startTime: windows[0][0],
+        endTime: windows[windows.length - 1][1],
+        windows,
+        wordTimings: highlightWords ? verseWordTimings : null
       });
-      
-      console.log(`✅ Created text overlays for verse ${verseNum}: ${timing.startTime.toFixed(2)}s - ${timing.endTime.toFixed(2)}s`);
-    }
-    
-    console.log(`🎬 Created ${verseOverlays.length} verse overlays for sequential display`);
-    
-    // --- ✨ Modern & Professional Watermark ---
-
-console.log('🏷️ Creating modern watermark overlay');
-const watermarkCanvas = createCanvas(videoWidth, videoHeight);
-const watermarkCtx = watermarkCanvas.getContext('2d');
-
-// 1. Define styling constants for easy adjustments
-const brandText = 'Made on SakinahTime.com';
-const padding = Math.floor(videoWidth * 0.03); // 3% padding from the edge
-const brandFontSize = Math.max(18, Math.floor(videoWidth * 0.015)); // Smaller, subtle size for the brand
-const infoFontSize = Math.max(22, Math.floor(videoWidth * 0.02)); // A clear, readable size for the verse info
-
-// 2. Get the verse information text
-const watermarkQuranData = JSON.parse(fs.readFileSync('quran-uthmani.json', 'utf8'));
-const surahName = watermarkQuranData.data.surahs[surah - 1].englishName;
-const watermarkStartVerse = parseInt(ayah);
-const watermarkEndVerse = ayahTo ? parseInt(ayahTo) : watermarkStartVerse;
-const surahWithVerse = watermarkEndVerse > watermarkStartVerse ?
-  `${surahName}, Verses ${watermarkStartVerse}-${watermarkEndVerse}` : // For a range, e.g., "Al-Baqarah, Verses 2-5"
-  `${surahName}, Verse ${watermarkStartVerse}`;                  // For a single verse, e.g., "Al-Fatihah, Verse 1"
-
-// 3. Draw the main brand watermark in the bottom-right
-watermarkCtx.font = `600 ${brandFontSize}px "Inter", "Lato", sans-serif`; // Use a clean, semi-bold font
-watermarkCtx.fillStyle = 'rgba(255, 255, 255, 0.85)'; // Slightly transparent white
-watermarkCtx.textAlign = 'right';
-watermarkCtx.textBaseline = 'bottom';
-
-// Add a soft drop shadow for legibility
-watermarkCtx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-watermarkCtx.shadowBlur = 8;
-watermarkCtx.shadowOffsetY = 2;
-watermarkCtx.shadowOffsetX = 0;
-
-watermarkCtx.fillText(brandText, videoWidth - padding, videoHeight - padding);
-
-// 4. Draw the informational Surah/Verse name in the top-left
-// Reset shadow for a different, more subtle style for this text
-watermarkCtx.shadowColor = 'rgba(0, 0, 0, 0.4)';
-watermarkCtx.shadowBlur = 6;
-
-watermarkCtx.font = `400 ${infoFontSize}px "Inter", "Lato", sans-serif`; // Use a regular weight
-watermarkCtx.textAlign = 'left';
-watermarkCtx.textBaseline = 'top';
-
-watermarkCtx.fillText(surahWithVerse, padding, padding);
-
-// 5. Save the generated watermark image
-const tempWatermarkPath = path.join(__dirname, 'temp', `${videoId}_watermark.png`);
-const watermarkBuffer = watermarkCanvas.toBuffer('image/png');
-fs.writeFileSync(tempWatermarkPath, watermarkBuffer);
-
-console.log('✅ Modern watermark overlay created');
-    
-    // All text overlays are now created individually for each verse
-    // Skip to video generation with sequential overlays
+    });
     
-    console.log('Video dimensions for overlay positioning:', `${videoWidth}x${videoHeight}`);
+    if (pages.length > 1) {
+      console.log(`📄 Verse ${timing.verse} split into ${pages.length} pages`);
+    }
+  });
+  
+  // Everything drawn over the background, in order: the watermark, then per screen its
+  // backdrop, Arabic, word highlights, translations and repetition counters
+  let watermarkTitle;
+  if (content) {
+    watermarkTitle = content.title; // e.g. "Morning Adhkar"
+  } else {
+    watermarkTitle = verseRangeTitle(surah, startVerse, lastVerse);
+  }
+  const layers = saveLayers(videoId, [render.renderWatermark(layout, watermarkTitle, hijriWatermark(hijriDate))]);
+  const boxes = [];
+  
+  for (let i = 0; i < screens.length; i++) {
+    const timing = screens[i];
+    const verseNum = timing.verse;
+    const screenName = timing.pageCount > 1 ? `v${verseNum}_p${timing.page}` : `v${verseNum}`;
+    
+    console.log(`🎨 Creating text overlays for verse ${verseNum}${timing.pageCount > 1 ? `, page ${timing.page}/${timing.pageCount}` : ''}`);
+    
+    // Word highlighting has to know where every word sits, so then the Arabic is laid out word by word
+    const highlightTimings = timing.wordTimings;
+    const rendered = render.renderScreen(layout, timing, { byWord: !!highlightWords });
+    boxes.push(rendered.box);
+    if (!highlightTimings && highlightWords && highlightWords.timing !== 'ayah' && timing.page === 1) {
+      console.log(`⚠️ No word timings for ${reciter} ${surah}:${verseNum}, whole verse highlighted`);
+    }
     
-    // Create sequential verse display using FFmpeg time-based filters
-    console.log('🎬 Building sequential verse display with time-based overlays');
+    // Shown during each of the screen's windows (several for a page of a repeated item)
+    const screenLayers = [rendered.backdrop, rendered.arabic].map(layer => ({ ...layer, windows: timing.windows }));
     
-    // Start with the background video - loop it for the full audio duration
-    let videoCommand = ffmpeg(backgroundPath)
-      .inputOptions(['-stream_loop', '-1', '-t', cumulativeTime.toString()])
-      .input(finalAudioPath)
-      .input(tempWatermarkPath); // Add watermark as input
+    // Without word timings the highlight follows the ayah: all of the screen's words, in the
+    // highlight colour, for as long as it is up
+    if (highlightWords && !highlightTimings) {
+      screenLayers.push({
+        ...render.renderHighlight(layout, rendered, rendered.wordPositions.map((_, token) => token), highlightWords.color),
+        windows: timing.windows
+      });
+    }
     
-    // Add all verse text overlays as inputs
-    verseOverlays.forEach(overlay => {
-      videoCommand.input(overlay.blackOverlayPath);
-      videoCommand.input(overlay.arabicPath);
-      videoCommand.input(overlay.translationPath);
+    // One image per timed segment with only its words, in the highlight colour, shown while
+    // they are recited (and held until the next segment starts so the highlight doesn't blink).
+    // Token numbers are the verse's, the word positions this page's.
+    (highlightTimings || []).forEach((wordTiming, index) => {
+      const pageTokens = wordTiming.tokens
+        .map(token => token - timing.tokenOffset)
+        .filter(token => rendered.wordPositions[token]);
+      const next = highlightTimings[index + 1];
+      const end = next ? Math.max(wordTiming.end, next.start) : wordTiming.end;
+      const startTime = Math.max(timing.verseStartTime + wordTiming.start, timing.startTime);
+      const endTime = Math.min(timing.verseStartTime + end, timing.endTime);
+      if (pageTokens.length === 0 || endTime <= startTime) return;
+      
+      screenLayers.push({
+        ...render.renderHighlight(layout, rendered, pageTokens, highlightWords.color),
+        name: `highlight_${index}`,
+        windows: [[startTime, endTime]]
+      });
     });
     
-    // Build complex filter chain for sequential display
-    let filterChain = [
-      `[0:v]scale=${videoWidth}:${videoHeight}[bg]`,
-      `[bg][2:v]overlay=0:0[watermarked]` // Add permanent watermark (input 2 is watermark)
-    ];
-    let currentOutput = 'watermarked';
+    rendered.translations.forEach(layer => screenLayers.push({ ...layer, windows: timing.windows }));
     
-    // Add each verse overlay with timing
-    for (let i = 0; i < verseOverlays.length; i++) {
-      const overlay = verseOverlays[i];
-      const blackOverlayInputIndex = 3 + (i * 3); // Black overlay input index (offset by watermark)
-      const arabicInputIndex = 4 + (i * 3); // Arabic text input index (offset by watermark)
-      const translationInputIndex = 5 + (i * 3); // Translation text input index (offset by watermark)
-      
-      const blackBgOutput = `blackbg_${i}`;
-      const arabicOutput = `arabic_${i}`;
-      const translationOutput = `verse_${i}`;
-      
-      // Add rounded black overlay with timing
-      filterChain.push(
-        `[${currentOutput}][${blackOverlayInputIndex}:v]overlay=0:0:enable='between(t,${overlay.startTime},${overlay.endTime})'[${blackBgOutput}]`
-      );
-      
-      // Calculate dynamic positioning based on actual text sizes
-      const arabicLineHeight = arabicTextData.fontSize * 1.3;
-      const actualArabicLines = overlay.arabicLineCount; // Use stored actual line count
-      const arabicTotalHeight = arabicLineHeight * actualArabicLines;
-      
-      const translationLineHeight = translationTextData.fontSize * 1.3;
-      // Translation lines are calculated properly in the verse creation
-      const translationTotalHeight = translationLineHeight * 3; // Conservative estimate
-      
-      const textGap = Math.floor(videoHeight * 0.02); // 2% of video height as gap
-      const totalContentHeight = arabicTotalHeight + textGap + translationTotalHeight;
-      
-      // Position Arabic text above center, translation below with clear gap
-      const extraGap = Math.floor(videoHeight * 0.05); // Additional 5% gap between texts
-      const arabicOffset = Math.floor(arabicTotalHeight / 2) + extraGap; // Arabic above center
-      const translationOffset = Math.floor(translationTotalHeight / 2) + extraGap; // Translation below center with gap
-      
-      console.log(`📍 Verse ${overlay.verse} positioning: Arabic offset=${arabicOffset}, Translation offset=${translationOffset}`);
-      
-      // Add Arabic text overlay with dynamic positioning
-      filterChain.push(
-        `[${blackBgOutput}][${arabicInputIndex}:v]overlay=(W-w)/2:(H-h)/2-${arabicOffset}:enable='between(t,${overlay.startTime},${overlay.endTime})'[${arabicOutput}]`
-      );
-      
-      // Add translation text overlay with dynamic positioning
-      filterChain.push(
-        `[${arabicOutput}][${translationInputIndex}:v]overlay=(W-w)/2:(H-h)/2+${translationOffset}:enable='between(t,${overlay.startTime},${overlay.endTime})'[${translationOutput}]`
-      );
-      
-      currentOutput = translationOutput;
+    // Repetition counter ("2 / 3") for adhkar said more than once, one sheet of badges over
+    // all the repetitions (rendered with the first page, it stays up while the pages turn)
+    if (timing.repeat > 1 && timing.page === 1) {
+      screenLayers.push({
+        ...render.renderCounter(layout, timing.repeat),
+        windows: [[timing.verseStartTime, timing.verseStartTime + timing.repeat * timing.repeatDuration]]
+      });
     }
     
-    // Final output
-    filterChain.push(`[${currentOutput}]null[final]`);
+    layers.push(...saveLayers(videoId, screenLayers.map(layer => ({ ...layer, name: `${screenName}_${layer.name}` }))));
     
-    console.log('📋 FFmpeg filter chain:');
-    filterChain.forEach((filter, index) => {
-      console.log(`  ${index + 1}. ${filter}`);
+    console.log(`🎯 Verse ${verseNum} box: ${Math.round(rendered.box.width)}x${Math.round(rendered.box.height)} at (${Math.round(rendered.box.x)}, ${Math.round(rendered.box.y)})`);
+    console.log(`✅ Created text overlays for verse ${verseNum}: ${timing.startTime.toFixed(2)}s - ${timing.endTime.toFixed(2)}s`);
+    notify('overlay-rendered', { verse: verseNum, page: timing.page, pages: timing.pageCount, completed: i + 1, total: screens.length });
+  }
+  
+  console.log(`🎬 Created ${layers.length} overlay layers for ${screens.length} screens`);
+  
+
+  // Caption tracks from the same timings: the Arabic, then one per translation
+  const captionTracks = [{ id: 'arabic', language: 'ar', label: 'Arabic', cues: [] }];
+  verseTimings.forEach(timing => {
+    captionTracks[0].cues.push({ start: timing.startTime, end: timing.endTime, text: timing.arabicText });
+    timing.translations.forEach(translation => {
+      let track = captionTracks.find(candidate => candidate.id === translation.id);
+      if (!track) {
+        track = { id: translation.id, language: translation.language, label: translation.label, cues: [] };
+        captionTracks.push(track);
+      }
+      track.cues.push({ start: timing.startTime, end: timing.endTime, text: translation.text });
     });
-    
+  });
+  writeCaptionFiles(videoId, captionTracks, {
+    width: videoWidth,
+    height: videoHeight,
+    arabicFont: layout.arabicFont,
+    translationFont: theme.translationFont || undefined,
+    textColor: layout.textColor
+  });
+  console.log(`💬 Wrote captions: ${captionTracks.map(track => track.id).join(', ')}`);
+  
+  // Create sequential verse display using FFmpeg time-based filters
+  console.log('🎬 Building sequential verse display with time-based overlays');
+  
+  // Start with the background for the full audio duration: a video loops, a still image is
+  // held, or with Ken Burns read once and turned into every frame by the zoompan filter
+  let videoCommand = ffmpeg(backgroundPath);
+  if (!isImageBackground) {
+    videoCommand.inputOptions(['-stream_loop', '-1', '-t', audioDuration.toString()]);
+  } else if (!kenBurns) {
+    videoCommand.inputOptions(['-loop', '1', '-framerate', STILL_FPS.toString(), '-t', audioDuration.toString()]);
+  }
+  videoCommand.input(finalAudioPath);
+  
+  // Inputs 0 and 1 are background and audio, then one per layer
+  layers.forEach(layer => videoCommand.input(layer.path));
+  const filterChain = render.compositeFilters(layout, layers, {
+    firstInput: 2,
+    boxes,
+    scale: encodingSettings.scale,
+    kenBurns: kenBurns ? { frames: Math.ceil(audioDuration * STILL_FPS), fps: STILL_FPS } : null
+  });
+  const nextInputIndex = 2 + layers.length;
+  
+
+  // Soft subtitles: each caption track muxed in as its own stream (mov_text in MP4, WebVTT
+  // in WebM)
+  const subtitleOptions = [];
+  if (softSubtitles && outputFormat.subtitleCodec) {
+    captionTracks.forEach((track, index) => {
+      videoCommand.input(captionPath(videoId, outputFormat.subtitleCodec === 'webvtt' ? 'vtt' : 'srt', track.id));
+      subtitleOptions.push(
+        '-map', `${nextInputIndex + index}:s`,
+        `-metadata:s:s:${index}`, `language=${captions.languageCode(track.language)}`,
+        `-metadata:s:s:${index}`, `title=${track.label}`
+      );
+    });
+    subtitleOptions.push('-c:s', outputFormat.subtitleCodec);
+  }
+
+  // The format's own picture filters (GIF palette, animation frame rate) after [final].
+  // Animations are silent; anything cut short ends on a fade rather than mid-word.
+  const picture = encoding.pictureEncoding(encodingSettings, 'final');
+  filterChain.push(...picture.filters);
+  const soundOptions = outputFormat.kind === 'video' ? ['-map', '1:a', ...encoding.soundEncoding(encodingSettings)] : ['-an'];
+  if (cutAt) {
+    soundOptions.push('-t', audioDuration.toString());
+    if (outputFormat.kind === 'video') {
+      soundOptions.push('-af', `afade=t=out:st=${Math.max(0, audioDuration - 1)}:d=1`);
+    }
+  }
+  
+  console.log('📋 FFmpeg filter chain:');
+  filterChain.forEach((filter, index) => {
+    console.log(`  ${index + 1}. ${filter}`);
+  });
+  
+  videoCommand
+    .complexFilter(filterChain)
+    .outputOptions([
+      ...picture.outputOptions,
+      ...soundOptions,
+      ...subtitleOptions
+    ])
+    .output(outputPath);
+  
+  update({ state: 'encoding', progress: 0 });
+  await new Promise((resolve, reject) => {
     videoCommand
-      .complexFilter(filterChain)
-      .outputOptions([
-        '-map', '[final]',
-        '-map', '1:a',
-        '-c:v', 'libx264',
-        '-preset', 'medium',
-        '-crf', '23',
-        '-pix_fmt', 'yuv420p'
-      ])
-      .output(outputPath);
-    
+      .on('end', () => {
+        console.log('Video generated successfully:', outputPath);
+        resolve();
+      })
+      .on('error', (error, stdout, stderr) => {
+        console.error('FFmpeg error:', error);
+        console.error('FFmpeg stdout:', stdout);
+        console.error('FFmpeg stderr:', stderr);
+        error.stderrTail = stderrTail(stderr);
+        reject(error);
+      })
+      .on('progress', (progress) => {
+        console.log('FFmpeg progress:', progress);
+        reportFfmpegProgress(progress, update, notify);
+      })
+      .run();
+  });
+
+  return jobResult();
+}
+
+// Frame rate of videos made over a still image
+const STILL_FPS = 30;
+
+// The recitation of an audio-only job as its output format, with ID3/MP4 tags and the
+// verse card (renderVerseCard options, null for none) as cover art. A cover that fails to
+// render is left out rather than failing the job.
+async function encodeAudioFile({ videoId, audioPath, outputPath, settings, tags, card, cutAt }, update, notify) {
+  const coverPath = path.join(__dirname, 'temp', `${videoId}_cover.jpg`);
+  let hasCover = false;
+  if (card) {
+    update({ state: 'rendering-overlays' });
+    try {
+      await renderVerseCard(`${videoId}_cover`, card, coverPath);
+      hasCover = true;
+    } catch (error) {
+      console.error('Cover art error, continuing without it:', error.message, error.stderrTail || '');
+    }
+  }
+
+  const command = ffmpeg(audioPath);
+  if (hasCover) command.input(coverPath);
+  command
+    .outputOptions([
+      ...encoding.audioFileEncoding(settings, tags, hasCover ? 1 : null),
+      ...(cutAt ? ['-t', cutAt.toString(), '-af', `afade=t=out:st=${Math.max(0, cutAt - 1)}:d=1`] : [])
+    ])
+    .format(encoding.OUTPUT_FORMATS[settings.format].container)
+    .output(outputPath);
+
+  update({ state: 'encoding', progress: 0 });
+  try {
     await new Promise((resolve, reject) => {
-      videoCommand
-        .on('end', () => {
-          console.log('Video generated successfully:', outputPath);
-          
-          // Clean up temporary files
-          verseOverlays.forEach(overlay => {
-            if (fs.existsSync(overlay.arabicPath)) {
-              fs.unlinkSync(overlay.arabicPath);
-            }
-            if (fs.existsSync(overlay.translationPath)) {
-              fs.unlinkSync(overlay.translationPath);
-            }
-          });
-          
-          resolve();
-        })
+      command
+        .on('end', resolve)
         .on('error', (error, stdout, stderr) => {
-          console.error('FFmpeg error:', error);
-          console.error('FFmpeg stdout:', stdout);
-          console.error('FFmpeg stderr:', stderr);
+          error.stderrTail = stderrTail(stderr);
           reject(error);
         })
-        .on('progress', (progress) => {
-          console.log('FFmpeg progress:', progress);
-        })
+        .on('progress', progress => reportFfmpegProgress(progress, update, notify))
         .run();
     });
+    console.log(`🎧 Audio generated successfully: ${outputPath}`);
+  } finally {
+    fs.removeSync(coverPath);
+  }
+}
 
-    // Clean up temp files
-    if (fs.existsSync(tempAudioPath)) {
-      fs.unlinkSync(tempAudioPath);
-    }
-    
-    // Clean up individual verse overlay files
-    verseOverlays.forEach(overlay => {
-      if (fs.existsSync(overlay.blackOverlayPath)) {
-        fs.unlinkSync(overlay.blackOverlayPath);
-      }
-      if (fs.existsSync(overlay.arabicPath)) {
-        fs.unlinkSync(overlay.arabicPath);
-      }
-      if (fs.existsSync(overlay.translationPath)) {
-        fs.unlinkSync(overlay.translationPath);
-      }
-    });
-    
-    // Clean up watermark
-    if (fs.existsSync(tempWatermarkPath)) {
-      fs.unlinkSync(tempWatermarkPath);
-    }
-    
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
-    }
+// Caption files of a video live next to it in generated/: <videoId>.<track>.srt and .vtt
+// per track, one <videoId>.ass with every track, and <videoId>.captions.json listing them
+function captionPath(videoId, format, trackId) {
+  return path.join(__dirname, 'generated', format === 'ass' ? `${videoId}.ass` : `${videoId}.${trackId}.${format}`);
+}
 
-    res.json({
-      success: true,
-      videoId,
-      downloadUrl: `/api/download/${videoId}`,
-      shareUrl: `/api/share/${videoId}`
-    });
+function writeCaptionFiles(videoId, tracks, assOptions) {
+  tracks.forEach(track => {
+    fs.writeFileSync(captionPath(videoId, 'srt', track.id), captions.toSrt(track));
+    fs.writeFileSync(captionPath(videoId, 'vtt', track.id), captions.toVtt(track));
+  });
+  fs.writeFileSync(captionPath(videoId, 'ass'), captions.toAss(tracks, assOptions));
+  fs.writeJsonSync(path.join(__dirname, 'generated', `${videoId}.captions.json`), {
+    tracks: tracks.map(({ id, language, label }) => ({ id, language, label }))
+  });
+}
 
-  } catch (error) {
-    console.error('Error generating video:', error);
-    res.status(500).json({ error: 'Failed to generate video' });
+// Download a video's captions: ?format=srt|vtt|ass, plus &track=arabic or a translation id
+// for SRT/WebVTT (default: the first translation, or the Arabic when there is none)
+app.get('/api/download/:videoId/captions', (req, res) => {
+  const videoId = path.basename(req.params.videoId);
+  const manifestPath = path.join(__dirname, 'generated', `${videoId}.captions.json`);
+  const job = videoQueue.get(videoId);
+  if (!job || job.state !== 'done' || !fs.existsSync(manifestPath)) {
+    return res.status(404).json({ error: 'Captions not found' });
+  }
+
+  const format = String(req.query.format || 'srt').toLowerCase();
+  if (!captions.FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown caption format: ${req.query.format} (${Object.keys(captions.FORMATS).join(', ')})` });
+  }
+
+  const { tracks } = fs.readJsonSync(manifestPath);
+  const track = req.query.track
+    ? tracks.find(candidate => candidate.id === req.query.track)
+    : tracks[1] || tracks[0];
+  if (!track) {
+    return res.status(400).json({ error: `Unknown caption track: ${req.query.track} (${tracks.map(candidate => candidate.id).join(', ')})` });
+  }
+
+  const filePath = captionPath(videoId, format, track.id);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Captions not found' });
   }
+
+  const fileName = format === 'ass' ? `quran-verse-${videoId}.ass` : `quran-verse-${videoId}.${track.id}.${format}`;
+  res.setHeader('Content-Type', captions.FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.sendFile(filePath);
 });
 
-// Download video
+// A generated video's file and output format, whichever format it was made in. Only
+// finished jobs have one, a running job's file is still being written.
+function findGeneratedOutput(videoId) {
+  const job = videoQueue.get(path.basename(videoId));
+  if (!job || job.state !== 'done') {
+    return null;
+  }
+  for (const format of Object.values(encoding.OUTPUT_FORMATS)) {
+    const filePath = path.join(__dirname, 'generated', `${path.basename(videoId)}.${format.extension}`);
+    if (fs.existsSync(filePath)) {
+      return { filePath, format };
+    }
+  }
+  return null;
+}
+
+// Download video (or animation, or audio)
 app.get('/api/download/:videoId', (req, res) => {
   const { videoId } = req.params;
-  const videoPath = path.join(__dirname, 'generated', `${videoId}.mp4`);
+  const output = findGeneratedOutput(videoId);
   
   console.log('Download request for videoId:', videoId);
-  console.log('Video path:', videoPath);
-  console.log('File exists:', fs.existsSync(videoPath));
+  console.log('File:', output ? output.filePath : 'not found');
   
-  if (fs.existsSync(videoPath)) {
-    const stats = fs.statSync(videoPath);
+  if (output) {
+    const { filePath, format } = output;
+    const stats = fs.statSync(filePath);
     console.log('File size:', stats.size, 'bytes');
     
-    // Set proper headers for video download
-    res.setHeader('Content-Type', 'video/mp4');
-    res.setHeader('Content-Disposition', `attachment; filename="quran-verse-${videoId}.mp4"`);
+    // Set proper headers for the download
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="quran-verse-${videoId}.${format.extension}"`);
     res.setHeader('Content-Length', stats.size);
     
     // Stream the file
-    const fileStream = fs.createReadStream(videoPath);
+    const fileStream = fs.createReadStream(filePath);
     fileStream.pipe(res);
     
     fileStream.on('error', (error) => {
@@ -1507,7 +3044,6 @@ app.get('/api/download/:videoId', (req, res) => {
       res.status(500).json({ error: 'Error streaming video file' });
     });
   } else {
-    console.error('Video file not found:', videoPath);
     res.status(404).json({ error: 'Video not found' });
   }
 });
@@ -1515,12 +3051,14 @@ app.get('/api/download/:videoId', (req, res) => {
 // Share video (returns video info)
 app.get('/api/share/:videoId', (req, res) => {
   const { videoId } = req.params;
-  const videoPath = path.join(__dirname, 'generated', `${videoId}.mp4`);
+  const output = findGeneratedOutput(videoId);
   
-  if (fs.existsSync(videoPath)) {
-    const stats = fs.statSync(videoPath);
+  if (output) {
+    const stats = fs.statSync(output.filePath);
     res.json({
       videoId,
+      format: output.format.extension,
+      contentType: output.format.contentType,
       size: stats.size,
       created: stats.birthtime,
       downloadUrl: `/api/download/${videoId}`
@@ -1547,7 +3085,9 @@ app.post('/api/cleanup', (req, res) => {
     }
   });
 
-  res.json({ cleanedCount });
+  const prunedJobs = videoQueue.prune() + previewQueue.prune();
+
+  res.json({ cleanedCount, prunedJobs });
 });
 
 app.listen(PORT, () => {